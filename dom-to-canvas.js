@@ -57,11 +57,76 @@ var domToCanvas = (function(domToCanvasOpts) {
     }
   };
 
+  /**
+   * Element nodes are keyed by their tagName. Non-element nodes don't have a tagName, so they are keyed by their
+   * nodeName instead (#text, #comment), with whitespace-only text nodes getting a key of their own.
+   */
   var nodeColorMap = {
-    HTML: '#000',
-    HEAD: '#F00',
-    BODY: '#0F0',
-    default: '#2F73D8'
+    'HTML': '#000',
+    'HEAD': '#F00',
+    'BODY': '#0F0',
+    '#text': '#F5A623',
+    '#comment': '#7ED321',
+    '#whitespace': '#BBB',
+    'default': '#2F73D8'
+  };
+
+  /**
+   * Every Node has a nodeType, which is a number that tells us what kind of node we are looking at.
+   * We only care about a handful of them, the rest (doctypes, processing instructions, etc) get skipped.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/Node/nodeType
+   */
+  var ELEMENT_NODE = 1;
+  var TEXT_NODE = 3;
+  var COMMENT_NODE = 8;
+  var DOCUMENT_NODE = 9;
+  var DOCUMENT_FRAGMENT_NODE = 11;
+
+  /**
+   * Some of a page lives outside of Element.children, behind a boundary:
+   *
+   *  shadow - an open shadow root (Element.shadowRoot), the private tree behind a web component
+   *  iframe - the document inside a same-origin <iframe> (HTMLIFrameElement.contentDocument)
+   *  template - the inert content of a <template> (HTMLTemplateElement.content)
+   *
+   * Each one is opt-in, with the option named here. getContent returns the node on the other side of the boundary,
+   * or null if there isn't one. Slots (the fourth kind of boundary) work differently, see getChildEntries.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/Web_components/Using_shadow_DOM
+   */
+  var boundaryMap = {
+    shadow: {
+      option: 'shadowRoots',
+      getContent: function(node) {
+        // Closed shadow roots are private on purpose, so shadowRoot is null for them
+        return node.shadowRoot || null;
+      }
+    },
+    iframe: {
+      option: 'iframes',
+      getContent: function(node) {
+        if (node.tagName !== 'IFRAME') {
+          return null;
+        }
+
+        /**
+         * Reading contentDocument of a cross-origin frame returns null in most browsers, but some older ones
+         * throw a SecurityError instead.
+         */
+        try {
+          return node.contentDocument || null;
+        } catch (error) {
+          return null;
+        }
+      }
+    },
+    template: {
+      option: 'templates',
+      getContent: function(node) {
+        return node.tagName === 'TEMPLATE' ? node.content || null : null;
+      }
+    }
   };
 
   /**
@@ -70,6 +135,9 @@ var domToCanvas = (function(domToCanvasOpts) {
    *
    * The following map is similar to ['HTML', 'HEAD', 'BODY'].includes(node.tagName), but rather than
    * traversing the entire array, we get to jump straight to a "true" or "undefined" (which is an implied false).
+   *
+   * These labels are always shown. Every other element only gets its label if there's room for it (see
+   * placeLabels).
    */
   var nodesWithVisibleTags = {
     HTML: true,
@@ -86,27 +154,461 @@ var domToCanvas = (function(domToCanvasOpts) {
   var endAngle = 2 * Math.PI;
   var radius = 5;
 
-  // I'm scoping these variables to the top so they can be used in multiple functions without having to pass them around.
-  var cellHeight;
-  var currentTree;
-  var currentHoveredNode;
-  var previousNodeBackgroundColor;
-  var currentTreeHeight;
-  var ctx;
-  var treeStack = [];
+  /**
+   * Element nodes are drawn as circles. To tell the other node types apart at a glance, they each get their own shape.
+   * Each function draws a path centered on x,y, and leaves it up to the canvas renderer to fill it in (see
+   * createCanvasRenderer). #collapsed is the triangle that stands in for a collapsed node's descendants.
+   */
+  var nodeShapeMap = {
+    '#text': function(ctx, x, y, r) {
+      ctx.rect(x - r, y - r, r * 2, r * 2);
+    },
+    '#comment': function(ctx, x, y, r) {
+      ctx.moveTo(x, y - r);
+      ctx.lineTo(x + r, y);
+      ctx.lineTo(x, y + r);
+      ctx.lineTo(x - r, y);
+      ctx.closePath();
+    },
+    '#whitespace': function(ctx, x, y, r) {
+      ctx.rect(x - r / 2, y - r / 2, r, r);
+    },
+    '#collapsed': function(ctx, x, y, r) {
+      ctx.moveTo(x - r, y - r);
+      ctx.lineTo(x + r, y - r);
+      ctx.lineTo(x, y + r);
+      ctx.closePath();
+    },
+    'default': function(ctx, x, y, r) {
+      ctx.arc(x, y, r, startAngle, endAngle, false);
+    }
+  };
+
+  var edgeColor = '#ccc';
+
+  /**
+   * When drawing the result of diffTrees() with the diff option turned on, these rules color each node by what
+   * happened to it. They are applied before options.styles, so custom rules can still override them.
+   */
+  var diffStyleRules = [{
+    match: function(node) {
+      return node.diff === 'added';
+    },
+    fill: '#2ECC40',
+    edge: '#2ECC40'
+  }, {
+    match: function(node) {
+      return node.diff === 'removed';
+    },
+    fill: '#FF4136',
+    edge: '#FF4136'
+  }, {
+    match: function(node) {
+      return node.diff === 'moved';
+    },
+    fill: '#FF851B',
+    stroke: '#000'
+  }, {
+    match: function(node) {
+      return node.diff === 'changed';
+    },
+    fill: '#B10DC9'
+  }, {
+    match: function(node) {
+      return node.diff === 'unchanged';
+    },
+    fill: '#DDD'
+  }];
+
+  /**
+   * Edges that cross a boundary (see boundaryMap and getChildEntries) are dashed, so you can see where the
+   * tree crosses into a shadow root, a slot, a frame or a template. The far side of a boundary gets a label too.
+   * Like the diff rules, these go before options.styles.
+   */
+  var boundaryStyleRules = [{
+    boundary: 'shadow',
+    edge: '#8E44AD',
+    edgeDash: [4, 2],
+    label: '#shadow-root',
+    showLabel: true
+  }, {
+    boundary: 'slot',
+    edge: '#8E44AD',
+    edgeDash: [1, 2]
+  }, {
+    boundary: 'iframe',
+    edge: '#0074D9',
+    edgeDash: [6, 3],
+    label: '#document',
+    showLabel: true
+  }, {
+    boundary: 'template',
+    edge: '#AAA',
+    edgeDash: [2, 2],
+    label: '#content',
+    showLabel: true
+  }];
+
+  /**
+   * Each style rule has a few conditions, and a node has to meet all of the conditions on a rule for the rule to
+   * apply. Every condition is a function that takes the rule's value and the dom-like node.
+   *
+   *  tag - tagName, case-insensitive. Text and comment nodes can be matched with #text, #comment or #whitespace
+   *  selector - a CSS selector, matched against the live node (or with matchesSelector for snapshots)
+   *  attribute - name of an attribute the node has to have, no matter its value
+   *  depth - exact depth of the node
+   *  boundary - the boundary crossed to get to the node: shadow, slot, iframe or template
+   *  match - function(node) that returns true if the rule applies
+   */
+  var styleConditionMap = {
+    tag: function(tag, node) {
+      return tag.toUpperCase() === getNodeKey(node).toUpperCase();
+    },
+    selector: function(selector, node) {
+      var domNode = node.__nodeRef;
+      if (domNode && domNode.matches) {
+        return domNode.matches(selector);
+      }
+      return matchesSelector(node, selector);
+    },
+    attribute: function(name, node) {
+      return Object.prototype.hasOwnProperty.call(node.attributes, name);
+    },
+    depth: function(depth, node) {
+      return node.depth === depth;
+    },
+    boundary: function(boundary, node) {
+      return node.boundary === boundary;
+    },
+    match: function(match, node) {
+      return Boolean(match(node));
+    }
+  };
+
+  /**
+   * The properties a style rule can set. Every property can either be a value, or a function(node, parentNode) that
+   * returns a value. That way one rule can give every node its own color, for instance based on a data-component
+   * attribute.
+   *
+   *  fill - color of the node
+   *  stroke - color of the node's outline (no outline by default)
+   *  radius - size of the node
+   *  label - text displayed next to the node
+   *  showLabel - true to always display the label, false to never display it, or 'auto' to display it if it
+   *    doesn't overlap another label (see placeLabels)
+   *  edge - color of the line from the node's parent to the node
+   *  edgeDash - dash pattern of that line, like [4, 2] (solid by default)
+   */
+  var styleProperties = [
+    'fill', 'stroke', 'radius', 'label', 'showLabel', 'edge', 'edgeDash'
+  ];
+
+  // How far a viewer can zoom out and in, and how much each turn of the mouse wheel zooms.
+  var minScale = 0.25;
+  var maxScale = 40;
+  var zoomStep = 1.1;
+
+  // How long the nodes touched by a mutation keep a ring around them.
+  var flashDuration = 1000;
+
+  /**
+   * Every canvas gets its own viewer (see createViewer). drawDOM() uses this map to find the viewer it made for a
+   * canvas the last time it was called.
+   *
+   * A WeakMap doesn't keep its keys alive, so a canvas that gets thrown away doesn't stick around because of us.
+   */
+  var canvasViewers = new WeakMap();
+
+  /**
+   * Whitespace-only text nodes are the line breaks and indentation between tags. There are usually a lot of them.
+   * @param {Node} node - text node (or dom-like text node)
+   * @return {Boolean} whether the text node only contains whitespace
+   */
+  function isWhitespaceNode(node) {
+    return node.nodeType === TEXT_NODE && /^\s*$/.test(node.nodeValue);
+  }
+
+  /**
+   * Decide whether a child node should become part of our dom-like tree.
+   *
+   * Element nodes are always walked, and so are the documents and fragments behind a boundary (see boundaryMap).
+   * Text, comment and whitespace nodes are only walked when their option is turned on. Finally, options.nodeFilter
+   * gets the last say for anything that made it this far.
+   *
+   * @param {Node} node - the child node we are considering
+   * @param {Object} options - traversal options
+   * @return {Boolean} whether the node should be traversed
+   */
+  function isTraversableNode(node, options) {
+    var isTraversable;
+
+    switch (node.nodeType) {
+      case ELEMENT_NODE:
+        isTraversable = true;
+        break;
+      case TEXT_NODE:
+        isTraversable = isWhitespaceNode(node) ?
+          Boolean(options.whitespaceNodes) :
+          Boolean(options.textNodes);
+        break;
+      case COMMENT_NODE:
+        isTraversable = Boolean(options.commentNodes);
+        break;
+      // Documents and fragments only show up as children when they are the far side of a boundary
+      case DOCUMENT_NODE:
+      case DOCUMENT_FRAGMENT_NODE:
+        isTraversable = true;
+        break;
+      default:
+        isTraversable = false;
+    }
+
+    if (isTraversable && options.nodeFilter) {
+      return options.nodeFilter(node) !== false;
+    }
+
+    return isTraversable;
+  }
+
+  /**
+   * The key we use to look up a node's color and shape.
+   * @param {Object} node - dom-like node
+   * @return {String} tagName for elements, #text, #comment or #whitespace otherwise
+   */
+  function getNodeKey(node) {
+    if (node.tagName) {
+      return node.tagName;
+    }
+    return node.isWhitespace ? '#whitespace' : node.nodeName;
+  }
+
+  /**
+   * The text we show when hovering over a node.
+   *
+   * For elements, the text is of the form:  TAGNAME#id
+   * For text and comment nodes, the text is of the form:  #text "the first few characters"
+   *
+   * Nodes from diffTrees() that changed get their status tacked on the end, ie: DIV#main (moved)
+   * Collapsed nodes get the number of descendants they are hiding, ie: UL#list [+200]
+   *
+   * @param {Object} node - dom-like node
+   * @return {String} label describing the node
+   */
+  function getNodeLabel(node) {
+    var label;
+    var value;
+
+    if (node.tagName) {
+      label = node.tagName + (node.id ? '#' + node.id : '');
+    } else if (node.nodeType === TEXT_NODE || node.nodeType === COMMENT_NODE) {
+      value = node.nodeValue.replace(/\s+/g, ' ').trim();
+      if (value.length > 20) {
+        value = value.slice(0, 20) + '...';
+      }
+      label = getNodeKey(node) + ' "' + value + '"';
+    } else if (node.boundary === 'shadow') {
+      label = '#shadow-root';
+    } else {
+      label = node.nodeName || '';
+    }
+
+    if (node.diff && node.diff !== 'unchanged') {
+      label += ' (' + node.diff + ')';
+    }
+
+    if (node.collapsedCount) {
+      label += ' [+' + node.collapsedCount + ']';
+    }
+
+    return label;
+  }
+
+  /**
+   * The default label of an element: its tag, id and classes, like TAGNAME#id.first.second
+   * @param {Object} node - dom-like element
+   * @return {String} label
+   */
+  function getElementLabel(node) {
+    var classes = ((node.attributes || {}).class || '').trim();
+
+    return node.tagName + (node.id ? '#' + node.id : '') +
+      (classes ? '.' + classes.split(/\s+/).join('.') : '');
+  }
+
+  /**
+   * Check a node against every condition on a style rule.
+   * @param {Object} rule - style rule, see styleConditionMap
+   * @param {Object} node - dom-like node
+   * @return {Boolean} whether the rule applies to the node
+   */
+  function isStyleRuleMatch(rule, node) {
+    return Object.keys(styleConditionMap).every(function(condition) {
+      if (rule[condition] === undefined) {
+        return true;
+      }
+      return styleConditionMap[condition](rule[condition], node);
+    });
+  }
+
+  /**
+   * Figure out how a node should be drawn.
+   *
+   * We start with the default style (nodeColorMap, nodesWithVisibleTags and radius), and then apply every matching
+   * rule in order. Just like in CSS, a later rule overrides what an earlier rule set.
+   *
+   * Elements are labeled with their tag, id and classes. Those labels are shown when there's room for them, except
+   * for the ones in nodesWithVisibleTags, which are always shown. Other nodes aren't labeled unless a rule says so.
+   *
+   * @param {Object} node - dom-like node
+   * @param {Array} [rules] - style rules, usually options.styles
+   * @return {Object} style with fill, stroke, radius, label, showLabel and edge
+   */
+  function getNodeStyle(node, rules) {
+    var nodeKey = getNodeKey(node);
+    var style = {
+      fill: nodeColorMap[nodeKey] || nodeColorMap.default,
+      stroke: null,
+      radius: radius,
+      label: node.tagName ? getElementLabel(node) : nodeKey,
+      showLabel: nodesWithVisibleTags[node.tagName] ||
+        (node.nodeType === ELEMENT_NODE ? 'auto' : false),
+      edge: edgeColor,
+      edgeDash: null
+    };
+
+    (rules || []).forEach(function(rule) {
+      if (!isStyleRuleMatch(rule, node)) {
+        return;
+      }
+
+      styleProperties.forEach(function(property) {
+        var value = rule[property];
+        if (typeof value === 'function') {
+          value = value(node, node.parentNode);
+        }
+        if (value !== undefined) {
+          style[property] = value;
+        }
+      });
+    });
+
+    return style;
+  }
+
+  /**
+   * Whether a node is one of our dom-like nodes, rather than a live one. Every dom-like node has a __nodeRef, even
+   * if it's null (like in a deserialized snapshot).
+   * @param {Object} node - live or dom-like node
+   * @return {Boolean} true for dom-like nodes
+   */
+  function isDOMLikeNode(node) {
+    return Object.prototype.hasOwnProperty.call(node, '__nodeRef');
+  }
+
+  /**
+   * The nodes we might walk below a node, each with the boundary (if any) we cross to get to it.
+   *
+   * A dom-like node's childNodes already hold everything that was walked the first time around, boundaries included.
+   * If the node was collapsed, its children are in hiddenChildNodes instead.
+   *
+   * A live node's children come first from behind any boundary that's turned on. With shadowRoots turned on, we
+   * walk the tree the way it gets rendered (the "flattened" tree):
+   *  - a shadow host's own children are only rendered where its shadow tree has a <slot> for them, so instead of
+   *    walking them directly, they show up below their slot
+   *  - a <slot> shows the nodes assigned to it, or its own children (the fallback content) if nothing was assigned
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/HTMLSlotElement/assignedNodes
+   *
+   * @param {Node} node - live or dom-like node
+   * @param {Object} options - traversal options
+   * @return {Array} {node, boundary} entries
+   */
+  function getChildEntries(node, options) {
+    var entries = [];
+    var walksAllNodes = options.textNodes || options.commentNodes ||
+      options.whitespaceNodes;
+    var assignedNodes;
+    var childList;
+    var i;
+
+    if (isDOMLikeNode(node)) {
+      return (node.hiddenChildNodes || node.childNodes).map(function(child) {
+        return {node: child, boundary: child.boundary};
+      });
+    }
+
+    Object.keys(boundaryMap).forEach(function(boundary) {
+      var content = options[boundaryMap[boundary].option] &&
+        boundaryMap[boundary].getContent(node);
+
+      if (content) {
+        entries.push({node: content, boundary: boundary});
+      }
+    });
+
+    if (options.shadowRoots && node.tagName === 'SLOT' && node.assignedNodes) {
+      assignedNodes = node.assignedNodes();
+      if (assignedNodes.length) {
+        return entries.concat(assignedNodes.map(function(assignedNode) {
+          return {node: assignedNode, boundary: 'slot'};
+        }));
+      }
+    }
+
+    if (options.shadowRoots && node.shadowRoot) {
+      return entries;
+    }
+
+    /**
+     * Node.childNodes contains every kind of node, while Element.children only contains elements. If we aren't
+     * walking text or comment nodes, there is no reason to look through childNodes.
+     *
+     * Text and comment nodes don't have either, so we fall back to an empty array. Documents and fragments
+     * didn't have children until recently (ParentNode.children), so we fall back to childNodes for them.
+     */
+    childList = (walksAllNodes ? node.childNodes :
+      node.children || node.childNodes) || [];
+
+    for (i = 0; i < childList.length; i++) {
+      entries.push({node: childList[i], boundary: undefined});
+    }
+
+    return entries;
+  }
+
+  /**
+   * The document references (ids, body, links, etc) we collect while walking a document.
+   * @return {Object} empty document references
+   */
+  function createDocParams() {
+    return {
+
+      body: null, // reference to the <body> element
+      head: null, // reference to the <head> element
+      documentElement: null, // reference to <html>
+
+      ids: {},
+      links: [], // <a> and <area> tags
+      images: [], // <img> tags
+      scripts: [], // <scripts>
+      forms: [],
+
+      // Rendering helpers :)
+      largestDepth: 0
+    };
+  }
 
   /**
    * Traverse down an document, creating a DOM-like structure
    * @param {Element} node - the DOM node
    * @param {Element} parentNode - a dom-like representation of our DOM node
    * @param {Number} depth - the node's depth, used for the rendering process
-   * @param {Number} start - the starting range to draw on the canvas
-   * @param {Number} end - the ending range to draw on the canvas
    * @param {Object} docParams - An object literal that will get merged into our document-like element after traversal
+   * @param {Object} options - traversal options, see createDOMLikeObject
    *
    * @return {Object} DOM-like object.
    */
-  function traverseDomNodes(node, parentNode, depth, start, end, docParams) {
+  function traverseDomNodes(node, parentNode, depth, docParams, options) {
     if (depth > docParams.largestDepth) {
       docParams.largestDepth = depth;
     }
@@ -123,11 +625,16 @@ var domToCanvas = (function(domToCanvasOpts) {
      * The "Element" traversals (children, nextElementSibling) will only return traversable nodes... while the regular
      * traversals (childNodes, nextSibling) will return textNodes, commentNodes, and ElementNodes.
      *
-     * The DOM trees I've looked at all seem to look super crowded already, so I'm going to skip text and comment nodes
-     * and instead go straight to Element nodes.
+     * The DOM trees I've looked at all seem to look super crowded already, so by default I'm going to skip text and
+     * comment nodes and instead go straight to Element nodes. They can be walked too by turning on the textNodes,
+     * commentNodes and whitespaceNodes options.
      *
      */
     var newNode = {
+      nodeType: node.nodeType,
+      nodeName: node.nodeName,
+      nodeValue: node.nodeValue,
+      isWhitespace: isWhitespaceNode(node),
 
       firstChild: null,
       lastChild: null,
@@ -144,11 +651,25 @@ var domToCanvas = (function(domToCanvasOpts) {
       childElementCount: node.childElementCount,
       attributes: {},
       depth: depth,
-      end: end,
-      start: start,
+      end: 0, // start, end and leafCount get filled in by layoutNodes()
+      start: 0,
+      leafCount: 1,
       tagName: node.tagName,
       parentNode: parentNode,
 
+      // Only set on trees from diffTrees(), see mergeDiffNode()
+      diff: node.diff,
+      diffAttributes: node.diffAttributes,
+
+      // The boundary crossed to get from the parent to this node, see boundaryMap. Set by the parent.
+      boundary: undefined,
+
+      /**
+       * Set on collapsed nodes, see collapseNodes. A snapshot of a collapsed node keeps the count, but not the
+       * nodes it was hiding, so that's the one case where the count gets copied over.
+       */
+      collapsedCount: node.hiddenChildNodes ? undefined : node.collapsedCount,
+
       __nodeRef: node.__nodeRef || node // create a reference to the original node. This does NOT exist on the DOM Element
     };
 
@@ -165,7 +686,8 @@ var domToCanvas = (function(domToCanvasOpts) {
      *
      * (real) Element.attributes returns a NamedNodeMap
      */
-    if (attributes instanceof NamedNodeMap) {
+    if (typeof NamedNodeMap !== 'undefined' &&
+      attributes instanceof NamedNodeMap) {
       attributesLength = attributes.length || 0;
       for (i = 0; i < attributesLength; i++) {
         /**
@@ -180,7 +702,7 @@ var domToCanvas = (function(domToCanvasOpts) {
         newNode.attributes[attribute.name] = attribute.value;
       }
     } else {
-      newNode.attributes = node.attributes;
+      newNode.attributes = node.attributes || {};
     }
 
     // If the node has an id, then lets add it directly to the docRef ID map.
@@ -194,363 +716,6175 @@ var domToCanvas = (function(domToCanvasOpts) {
       docRefTagsMap[node.tagName](newNode, node, docParams);
     }
 
-    var childDepth = depth + 1;
-    var childCount = newNode.childElementCount;
-    var width = (end - start) / childCount;
-    var child;
-    var childStart;
+    var traversableChildren = getChildEntries(node, options).filter(
+      function(entry) {
+        return isTraversableNode(entry.node, options);
+      });
+
+    var childDepth = depth + 1;
+    var childCount = traversableChildren.length;
+    var child;
+    var frameParams;
+
+    for (i = 0; i < childCount; i++) {
+      /**
+       * An iframe's document has an <html>, <head> and <body> (and ids) of its own, so it gets its own document
+       * references. Otherwise, its body would replace ours.
+       */
+      if (traversableChildren[i].boundary === 'iframe') {
+        frameParams = createDocParams();
+        frameParams.largestDepth = docParams.largestDepth;
+        child = traverseDomNodes(traversableChildren[i].node, newNode,
+          childDepth, frameParams, options);
+        docParams.largestDepth = frameParams.largestDepth;
+      } else {
+        child = traverseDomNodes(traversableChildren[i].node, newNode,
+          childDepth, docParams, options);
+      }
+
+      child.boundary = traversableChildren[i].boundary;
+      newNode.childNodes.push(child);
+
+      if (child.nodeType === ELEMENT_NODE) {
+        newNode.children.push(child);
+      }
+    }
+
+    // The element count is based on what we walked, since the nodeFilter may have skipped some elements.
+    newNode.childElementCount = newNode.children.length;
+
+    // Nodes have firstChild/lastChild properties too!
+    if (childCount) {
+      newNode.firstChild = newNode.childNodes[0];
+      newNode.lastChild = newNode.childNodes[childCount - 1];
+    }
+
+    var elementCount = newNode.childElementCount;
+    if (elementCount) {
+      newNode.firstElementChild = newNode.children[0];
+      newNode.lastElementChild = newNode.children[elementCount - 1];
+    }
+
+    // Binding relationship between sibling nodes, and then again between sibling elements
+    linkSiblings(newNode.childNodes, 'previousSibling', 'nextSibling');
+    linkSiblings(newNode.children, 'previousElementSibling',
+      'nextElementSibling');
+
+    return newNode;
+  }
+
+  /**
+   * A node's horizontal range gets divided between its children. Each split mode is a function that returns what
+   * fraction of its parent's range a child gets.
+   *
+   *  equal - every child gets the same width, no matter how big it is. A leaf is as wide as a sibling with thousands
+   *    of descendants, so big pages end up squished into one side of the canvas.
+   *  weighted - every child gets a width proportional to the number of leaves below it. Each leaf on the page ends
+   *    up with the same width, so large subtrees get the room they need to spread out.
+   */
+  var splitModes = {
+    equal: function(child, parentNode) {
+      return 1 / parentNode.childNodes.length;
+    },
+    weighted: function(child, parentNode) {
+      return child.leafCount / parentNode.leafCount;
+    }
+  };
+
+  /**
+   * Count the leaves below every node in the tree. A node without children counts as a leaf itself.
+   * We need these counts before laying anything out, which is why it's a separate pass from traverseDomNodes.
+   * @param {Object} node - dom-like node
+   * @return {Number} number of leaves in the node's subtree
+   */
+  function countLeaves(node) {
+    if (!node.childNodes.length) {
+      node.leafCount = 1;
+      return node.leafCount;
+    }
+
+    node.leafCount = node.childNodes.reduce(function(total, child) {
+      return total + countLeaves(child);
+    }, 0);
+    return node.leafCount;
+  }
+
+  /**
+   * Assign each node the horizontal range it is drawn in. A node is drawn at the center of its range, and its
+   * children split the range between themselves. Because the ranges of siblings never overlap, searchForNodeWithXY()
+   * can use them to skip entire subtrees.
+   *
+   * @param {Object} node - dom-like node
+   * @param {Number} start - the starting range to draw on the canvas
+   * @param {Number} end - the ending range to draw on the canvas
+   * @param {Function} split - one of the splitModes
+   */
+  function layoutNodes(node, start, end, split) {
+    var childStart = start;
+
+    node.start = start;
+    node.end = end;
+
+    node.childNodes.forEach(function(child) {
+      var childEnd = childStart + (end - start) * split(child, node);
+      layoutNodes(child, childStart, childEnd, split);
+      childStart = childEnd;
+    });
+  }
+
+  /**
+   * Point each node in a list at the node before and after it.
+   * @param {Array} nodes - list of sibling dom-like nodes
+   * @param {String} previousKey - property that points to the previous sibling
+   * @param {String} nextKey - property that points to the next sibling
+   */
+  function linkSiblings(nodes, previousKey, nextKey) {
+    nodes.forEach(function(node, index) {
+      if (index > 0) {
+        node[previousKey] = nodes[index - 1];
+      }
+      if (index < nodes.length - 1) {
+        node[nextKey] = nodes[index + 1];
+      }
+    });
+  }
+
+  /**
+   * @param {Object} node - dom-like node
+   * @return {Number} how many nodes are drawn below this one (leaving out anything collapsed)
+   */
+  function countVisibleDescendants(node) {
+    return node.childNodes.reduce(function(count, child) {
+      return count + 1 + countVisibleDescendants(child);
+    }, 0);
+  }
+
+  /**
+   * Fold away the descendants of every node that should be collapsed, from the bottom of the tree up. Going bottom
+   * up means the size threshold only counts what's still showing, so a huge list collapses on its own instead of
+   * taking every one of its ancestors down with it. The root is never collapsed, or there'd be nothing to look at.
+   *
+   * options.collapse gets the first say for every node, and collapseDepth and collapseThreshold get the rest. When
+   * options.collapse keeps a node expanded (by returning false), its ancestors aren't collapsed by the thresholds
+   * either, since that would hide the very node that was asked to stay open.
+   *
+   * A collapsed node keeps its children in hiddenChildNodes, so it can be expanded again without going back to
+   * the live page (see getChildEntries), and gets a collapsedCount of the descendants it's hiding.
+   *
+   * @param {Object} node - dom-like node
+   * @param {Object} options - traversal options
+   * @param {Boolean} isRoot - whether the node is the root of the tree
+   * @return {Object} largestDepth still drawn (counting a collapsed node's badge as one level below it), and
+   * whether anything in the subtree was kept open by options.collapse
+   */
+  function collapseNodes(node, options, isRoot) {
+    var decision = options.collapse ? options.collapse(node) : undefined;
+    var largestDepth = node.collapsedCount ? node.depth + 1 : node.depth;
+    var keptOpen = decision === false;
+    var isCollapsed;
+
+    node.childNodes.forEach(function(child) {
+      var result = collapseNodes(child, options, false);
+      largestDepth = Math.max(largestDepth, result.largestDepth);
+      keptOpen = keptOpen || result.keptOpen;
+    });
+
+    if (decision === undefined) {
+      isCollapsed = !keptOpen && (node.depth === options.collapseDepth ||
+        Boolean(options.collapseThreshold) &&
+        countVisibleDescendants(node) > options.collapseThreshold);
+    } else {
+      isCollapsed = Boolean(decision);
+    }
+
+    if (isRoot || !isCollapsed || !node.childNodes.length) {
+      return {largestDepth: largestDepth, keptOpen: keptOpen};
+    }
+
+    node.collapsedCount = countDescendants(node);
+    node.hiddenChildNodes = node.childNodes;
+    node.childNodes = [];
+    node.children = [];
+    node.childElementCount = 0;
+    node.firstChild = null;
+    node.lastChild = null;
+    node.firstElementChild = null;
+    node.lastElementChild = null;
+
+    return {largestDepth: node.depth + 1, keptOpen: keptOpen};
+  }
+
+  /**
+   * Create a DOM-like structure. We will be using vanilla objects as our nodes, and making use of a few
+   * DOM functions to traverse between each node.
+   *
+   * Options:
+   *  textNodes - also walk text nodes (default false)
+   *  commentNodes - also walk comment nodes (default false)
+   *  whitespaceNodes - also walk text nodes that only contain whitespace (default false)
+   *  nodeFilter - function(node) that returns false for any node that should be left out of the tree
+   *  split - how a node's width is divided between its children, 'weighted' (default) or 'equal'. See splitModes.
+   *  styles - array of style rules used when drawing, see styleConditionMap and styleProperties.
+   *  diff - color nodes by their diff status when drawing a tree from diffTrees(), see diffStyleRules.
+   *  heatmap - color nodes by 'size' (of their subtree) or 'fanOut' (number of children), see heatmapMetrics.
+   *  audit - ring the nodes with markup problems when drawing. true, or the options for auditTree.
+   *  labels - false to only label html, head and body when drawing, instead of every node there's room for. See
+   *    placeLabels.
+   *  shadowRoots - also walk open shadow roots, and the nodes assigned to each <slot> (default false)
+   *  iframes - also walk the documents of same-origin iframes (default false)
+   *  templates - also walk the content of <template> elements (default false)
+   *  collapse - function(node) that returns true to collapse a node, false to keep it expanded, or undefined to
+   *    leave it to collapseDepth and collapseThreshold. See collapseNodes.
+   *  collapseDepth - collapse every node at this depth, hiding everything below it
+   *  collapseThreshold - collapse any node with more than this many (visible) descendants
+   *
+   * @param {Document} myDoc - document we are transforming into a tree
+   * @param {Number} start - canvas starting point
+   * @param {Number} end - canvas ending point
+   * @param {Object} [options] - traversal options
+   * @return {Object} Dom-like Tree
+   */
+  function createDOMLikeObject(myDoc, start, end, options) {
+    /**
+     * The document node, unlike other nodes, stores a reference to ids and certain types of nodes (images, scripts, etc).
+     */
+    var docParams = createDocParams();
+
+    options = options || {};
+
+    var newDocument = traverseDomNodes(myDoc, null, 0, docParams, options);
+    var split = splitModes[options.split] || splitModes.weighted;
+
+    docParams.largestDepth = collapseNodes(newDocument, options, true)
+      .largestDepth;
+    countLeaves(newDocument);
+    layoutNodes(newDocument, start, end, split);
+
+    /**
+     * We merge the docParams directly into the root node (instead of into a copy of it), so that the children's
+     * parentNode still points at the node we return.
+     */
+    var augmentedDoc = Object.assign(newDocument, docParams);
+    return addQueryMethods(augmentedDoc);
+  }
+
+  /**
+   * Pages change all the time, and walking a whole page again for every change gets slow on big pages. Instead,
+   * patchTree() walks only the parts of the page that changed, and swaps them into the tree we already have.
+   *
+   * Patching starts from dom-like nodes, so we need a way to get from a live node to the dom-like node built from
+   * it. This map only covers the nodes that are drawn: anything hidden in a collapsed node is patched by patching
+   * the collapsed node.
+   * @param {Object} tree - dom-like tree (or node)
+   * @param {Map} nodesByRef - gets a live node => dom-like node entry for every node that is drawn
+   * @return {Map} nodesByRef
+   */
+  function indexNodeRefs(tree, nodesByRef) {
+    collectNodes(tree, function(node) {
+      nodesByRef.set(node.__nodeRef, node);
+      return false;
+    }, []);
+    return nodesByRef;
+  }
+
+  /**
+   * Collect a tree's document references (ids, links, etc) and largest depth all over again, the same way
+   * traverseDomNodes collects them the first time around. The nodes hidden in a collapsed node still have their
+   * ids and links, but they don't take up any depth, and anything behind an iframe belongs to the frame's document.
+   * @param {Object} node - dom-like node
+   * @param {Object} docParams - see createDocParams
+   * @param {Boolean} isHidden - whether the node is hidden in a collapsed node
+   * @param {Boolean} isInFrame - whether the node is in an iframe's document
+   * @return {Object} docParams
+   */
+  function collectDocParams(node, docParams, isHidden, isInFrame) {
+    var depth = node.collapsedCount ? node.depth + 1 : node.depth;
+
+    if (!isHidden && depth > docParams.largestDepth) {
+      docParams.largestDepth = depth;
+    }
+
+    if (!isInFrame) {
+      if (node.id) {
+        docParams.ids[node.id] = node;
+      }
+      if (docRefTagsMap[node.tagName]) {
+        docRefTagsMap[node.tagName](node, node, docParams);
+      }
+    }
+
+    (node.hiddenChildNodes || node.childNodes).forEach(function(child) {
+      collectDocParams(child, docParams,
+        isHidden || Boolean(node.hiddenChildNodes),
+        isInFrame || child.boundary === 'iframe');
+    });
+
+    return docParams;
+  }
+
+  /**
+   * Put a new child node where an old one was, and fix up the links between the parent and its children.
+   * @param {Object} parentNode - dom-like node
+   * @param {Object} oldNode - the child being replaced
+   * @param {Object} newNode - the child taking its place
+   */
+  function replaceChildNode(parentNode, oldNode, newNode) {
+    var elementIndex = parentNode.children.indexOf(oldNode);
+
+    parentNode.childNodes[parentNode.childNodes.indexOf(oldNode)] = newNode;
+    if (elementIndex !== -1) {
+      parentNode.children[elementIndex] = newNode;
+    }
+
+    parentNode.firstChild = parentNode.childNodes[0];
+    parentNode.lastChild =
+      parentNode.childNodes[parentNode.childNodes.length - 1];
+    parentNode.firstElementChild = parentNode.children[0] || null;
+    parentNode.lastElementChild =
+      parentNode.children[parentNode.children.length - 1] || null;
+
+    linkSiblings(parentNode.childNodes, 'previousSibling', 'nextSibling');
+    linkSiblings(parentNode.children, 'previousElementSibling',
+      'nextElementSibling');
+  }
+
+  /**
+   * Walk the live nodes behind some of a tree's nodes again, and swap the new subtrees in for the old ones. Only
+   * the changed subtrees are walked, and they are laid out in the range the old ones had.
+   *
+   * There is one catch: with the weighted split (see splitModes), a subtree that gains or loses leaves changes how
+   * much room every one of its ancestors' children gets, so the whole tree has to be laid out again. That's still
+   * just arithmetic on the objects we already have, and nowhere near as slow as walking the page.
+   *
+   * The tree's document references are collected again afterwards (see collectDocParams), since the nodes they
+   * point at may have been replaced.
+   *
+   * @param {Object} tree - dom-like tree, built from a live node by createDOMLikeObject
+   * @param {Array} nodes - dom-like nodes whose live nodes changed. None of them can be the root of the tree, or
+   * a descendant of another one.
+   * @param {Object} [options] - traversal options, the same ones the tree was built with
+   * @return {Array} [oldNode, newNode] pairs, one for every subtree that was replaced
+   */
+  function patchTree(tree, nodes, options) {
+    var split;
+    var isFullLayout = false;
+    var replacements;
+
+    options = options || {};
+    split = splitModes[options.split] || splitModes.weighted;
+
+    replacements = nodes.map(function(oldNode) {
+      var newNode = traverseDomNodes(oldNode.__nodeRef, oldNode.parentNode,
+        oldNode.depth, createDocParams(), options);
+      var leafDelta;
+      var ancestor;
+
+      newNode.boundary = oldNode.boundary;
+      newNode.start = oldNode.start;
+      newNode.end = oldNode.end;
+      collapseNodes(newNode, options, false);
+      replaceChildNode(oldNode.parentNode, oldNode, newNode);
+
+      leafDelta = countLeaves(newNode) - oldNode.leafCount;
+      for (ancestor = newNode.parentNode; ancestor;
+        ancestor = ancestor.parentNode) {
+        ancestor.leafCount += leafDelta;
+      }
+
+      isFullLayout = isFullLayout ||
+        Boolean(leafDelta) && split === splitModes.weighted;
+      return [oldNode, newNode];
+    });
+
+    if (isFullLayout) {
+      layoutNodes(tree, tree.start, tree.end, split);
+    } else {
+      replacements.forEach(function(replacement) {
+        var newNode = replacement[1];
+        layoutNodes(newNode, newNode.start, newNode.end, split);
+      });
+    }
+
+    Object.assign(tree,
+      collectDocParams(tree, createDocParams(), false, false));
+    return replacements;
+  }
+
+  /**
+   * A small selector engine, so dom-like trees (including deserialized snapshots, which have no live nodes to ask)
+   * can be queried the same way a real document can.
+   *
+   * It understands:
+   *  tag, *, #id, .class
+   *  [attr], [attr=value], [attr~=value], [attr|=value], [attr^=value], [attr$=value], [attr*=value]
+   *  :nth-child(2), :nth-child(odd), :nth-child(even), :nth-child(3n+1)
+   *  descendant (a b) and child (a > b) combinators, and groups (a, b)
+   *
+   * A selector is parsed into groups. Each group is a list of compound selectors (ie: div.main[title]), and each
+   * compound selector knows the combinator that joins it to the one before it.
+   */
+  var selectorIdentifier = /^-?[_a-zA-Z][_a-zA-Z0-9-]*/;
+  var selectorAttribute = new RegExp([
+    '^\\[\\s*(-?[_a-zA-Z][_a-zA-Z0-9-]*)\\s*',
+    '(?:([~|^$*]?=)\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\]\\s]+))\\s*)?\\]'
+  ].join(''));
+  var selectorNthChild = /^:nth-child\(\s*([^)]+?)\s*\)/;
+  var nthExpression = /^([+-]?\d*)n\s*(?:([+-])\s*(\d+))?$/;
+
+  /**
+   * Parsing the same selector over and over (once per node, per redraw) adds up, so we remember the results. Only
+   * selectors that parsed are remembered, and only the most recently used ones: the search box parses a new
+   * selector on every keystroke, and those would pile up forever otherwise. A Map keeps its keys in the order they
+   * were added, so the first one is always the least recently used.
+   */
+  var parsedSelectors = new Map();
+  var maxParsedSelectors = 50;
+
+  /**
+   * Each attribute operator is a function that compares the node's value with the selector's value.
+   */
+  var attributeOperatorMap = {
+    '=': function(value, expected) {
+      return value === expected;
+    },
+    '~=': function(value, expected) {
+      return value.split(/\s+/).indexOf(expected) !== -1;
+    },
+    '|=': function(value, expected) {
+      return value === expected || value.indexOf(expected + '-') === 0;
+    },
+    '^=': function(value, expected) {
+      return Boolean(expected) && value.indexOf(expected) === 0;
+    },
+    '$=': function(value, expected) {
+      return Boolean(expected) &&
+        value.slice(value.length - expected.length) === expected;
+    },
+    '*=': function(value, expected) {
+      return Boolean(expected) && value.indexOf(expected) !== -1;
+    }
+  };
+
+  /**
+   * Turn the inside of :nth-child() into the a and b of an+b. A node matches if its (1 based) position among its
+   * siblings can be written as an+b for some n >= 0.
+   * @param {String} expression - odd, even, a number, or an an+b expression
+   * @param {String} selector - the whole selector, for the error message
+   * @return {Object} a and b
+   */
+  function parseNthExpression(expression, selector) {
+    var match;
+
+    expression = expression.toLowerCase();
+
+    if (expression === 'odd') {
+      return {a: 2, b: 1};
+    }
+    if (expression === 'even') {
+      return {a: 2, b: 0};
+    }
+    if (/^[+-]?\d+$/.test(expression)) {
+      return {a: 0, b: parseInt(expression, 10)};
+    }
+
+    match = nthExpression.exec(expression);
+    if (!match) {
+      throw new Error('Invalid selector: ' + selector);
+    }
+
+    return {
+      a: /\d/.test(match[1]) ? parseInt(match[1], 10) : Number(match[1] + '1'),
+      b: match[3] ? parseInt(match[2] + match[3], 10) : 0
+    };
+  }
+
+  /**
+   * @return {Object} a compound selector that matches any element
+   */
+  function createCompoundSelector() {
+    return {
+      combinator: null,
+      tag: null,
+      id: null,
+      classes: [],
+      attributes: [],
+      nthChild: []
+    };
+  }
+
+  /**
+   * Parse a selector string, one token at a time.
+   * @param {String} selector - CSS selector
+   * @return {Array} groups of compound selectors
+   */
+  function parseSelector(selector) {
+    var groups = [];
+    var group = [];
+    var compound = null;
+    var combinator = null;
+    var rest = selector.trim();
+    var match;
+
+    if (parsedSelectors.has(selector)) {
+      groups = parsedSelectors.get(selector);
+      parsedSelectors.delete(selector);
+      parsedSelectors.set(selector, groups);
+      return groups;
+    }
+
+    var invalid = function() {
+      return new Error('Invalid selector: ' + selector);
+    };
+
+    // Anything other than a combinator starts (or adds to) a compound selector.
+    var currentCompound = function() {
+      if (!compound) {
+        compound = createCompoundSelector();
+        compound.combinator = group.length ? combinator || ' ' : null;
+        combinator = null;
+        group.push(compound);
+      }
+      return compound;
+    };
+
+    // A combinator or a comma ends the compound selector we were working on.
+    var endCompound = function() {
+      if (!compound) {
+        throw invalid();
+      }
+      compound = null;
+    };
+
+    while (rest) {
+      if ((match = /^\s*([>,])\s*/.exec(rest))) {
+        endCompound();
+        if (match[1] === ',') {
+          groups.push(group);
+          group = [];
+        } else {
+          combinator = '>';
+        }
+      } else if ((match = /^\s+/.exec(rest))) {
+        endCompound();
+      } else if ((match = /^\*/.exec(rest))) {
+        currentCompound().tag = '*';
+      } else if ((match = selectorIdentifier.exec(rest))) {
+        currentCompound().tag = match[0].toUpperCase();
+      } else if ((match = /^#(-?[_a-zA-Z0-9-]+)/.exec(rest))) {
+        currentCompound().id = match[1];
+      } else if ((match = /^\.(-?[_a-zA-Z][_a-zA-Z0-9-]*)/.exec(rest))) {
+        currentCompound().classes.push(match[1]);
+      } else if ((match = selectorAttribute.exec(rest))) {
+        currentCompound().attributes.push({
+          name: match[1],
+          operator: match[2],
+          value: [match[3], match[4], match[5]].filter(function(value) {
+            return value !== undefined;
+          })[0]
+        });
+      } else if ((match = selectorNthChild.exec(rest))) {
+        currentCompound().nthChild.push(parseNthExpression(match[1], selector));
+      } else {
+        throw invalid();
+      }
+
+      rest = rest.slice(match[0].length);
+    }
+
+    // A selector can't end with a combinator or a comma
+    if (!compound) {
+      throw invalid();
+    }
+
+    groups.push(group);
+    parsedSelectors.set(selector, groups);
+    if (parsedSelectors.size > maxParsedSelectors) {
+      parsedSelectors.delete(parsedSelectors.keys().next().value);
+    }
+    return groups;
+  }
+
+  /**
+   * Check a single node against a compound selector, ignoring combinators.
+   * @param {Object} node - dom-like node
+   * @param {Object} compound - compound selector
+   * @return {Boolean} whether the node matches
+   */
+  function matchesCompoundSelector(node, compound) {
+    var attributes = node.attributes || {};
+    var classes;
+    var position;
+
+    if (node.nodeType !== ELEMENT_NODE) {
+      return false;
+    }
+
+    if (compound.tag && compound.tag !== '*' &&
+      compound.tag !== node.tagName.toUpperCase()) {
+      return false;
+    }
+
+    if (compound.id && compound.id !== node.id) {
+      return false;
+    }
+
+    classes = (attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(function(className) {
+      return classes.indexOf(className) !== -1;
+    })) {
+      return false;
+    }
+
+    if (!compound.attributes.every(function(attribute) {
+      var value = attributes[attribute.name];
+
+      if (value === undefined || value === null) {
+        return false;
+      }
+
+      return !attribute.operator || attributeOperatorMap[attribute.operator](
+        String(value), attribute.value);
+    })) {
+      return false;
+    }
+
+    position = node.parentNode ? node.parentNode.children.indexOf(node) + 1 : 1;
+    return compound.nthChild.every(function(nth) {
+      var offset = position - nth.b;
+
+      if (nth.a === 0) {
+        return offset === 0;
+      }
+      return offset / nth.a >= 0 && offset % nth.a === 0;
+    });
+  }
+
+  /**
+   * Match a group right to left: the node has to match the last compound selector, and then its parent (for >) or
+   * one of its ancestors (for a space) has to match the rest of the group.
+   * @param {Object} node - dom-like node
+   * @param {Array} group - compound selectors
+   * @param {Number} index - which compound selector the node has to match
+   * @return {Boolean} whether the node matches
+   */
+  function matchesSelectorGroup(node, group, index) {
+    var compound = group[index];
+    var ancestor;
+
+    if (!matchesCompoundSelector(node, compound)) {
+      return false;
+    }
+
+    if (index === 0) {
+      return true;
+    }
+
+    if (compound.combinator === '>') {
+      return Boolean(node.parentNode) &&
+        matchesSelectorGroup(node.parentNode, group, index - 1);
+    }
+
+    for (ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+      if (matchesSelectorGroup(ancestor, group, index - 1)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {Object} node - dom-like node
+   * @param {String} selector - CSS selector
+   * @return {Boolean} whether the node matches the selector
+   */
+  function matchesSelector(node, selector) {
+    return parseSelector(selector).some(function(group) {
+      return matchesSelectorGroup(node, group, group.length - 1);
+    });
+  }
+
+  /**
+   * Collect a node and every one of its descendants that passes a test, in document order.
+   * @param {Object} node - dom-like node
+   * @param {Function} test - function(node) that returns true for the nodes we want
+   * @param {Array} results - gets the nodes that passed
+   * @return {Array} results
+   */
+  function collectNodes(node, test, results) {
+    if (test(node)) {
+      results.push(node);
+    }
+
+    node.childNodes.forEach(function(child) {
+      collectNodes(child, test, results);
+    });
+
+    return results;
+  }
+
+  /**
+   * Every descendant of a dom-like node that matches a selector, in document order. Like the real
+   * querySelectorAll, the node we start from is not included.
+   * @param {Object} root - dom-like tree or node
+   * @param {String} selector - CSS selector
+   * @return {Array} matching dom-like nodes
+   */
+  function querySelectorAll(root, selector) {
+    var results = [];
+
+    parseSelector(selector);
+    root.childNodes.forEach(function(child) {
+      collectNodes(child, function(node) {
+        return matchesSelector(node, selector);
+      }, results);
+    });
+
+    return results;
+  }
+
+  /**
+   * @param {Object} root - dom-like tree or node
+   * @param {String} selector - CSS selector
+   * @return {Object} the first matching descendant, or null
+   */
+  function querySelector(root, selector) {
+    return querySelectorAll(root, selector)[0] || null;
+  }
+
+  /**
+   * @param {Object} root - dom-like tree or node
+   * @param {String} tagName - tag name, or * for every element
+   * @return {Array} matching dom-like elements
+   */
+  function getElementsByTagName(root, tagName) {
+    var upperTagName = tagName.toUpperCase();
+    var results = [];
+
+    root.childNodes.forEach(function(child) {
+      collectNodes(child, function(node) {
+        return node.nodeType === ELEMENT_NODE &&
+          (upperTagName === '*' || node.tagName.toUpperCase() === upperTagName);
+      }, results);
+    });
+
+    return results;
+  }
+
+  /**
+   * Trees from createDOMLikeObject and deserializeTree already have an ids map, so we use that when we can.
+   * @param {Object} tree - dom-like tree
+   * @param {String} id - id to look for
+   * @return {Object} dom-like element with that id, or null
+   */
+  function getElementById(tree, id) {
+    if (tree.ids) {
+      return tree.ids[id] || null;
+    }
+
+    return collectNodes(tree, function(node) {
+      return node.id === id;
+    }, [])[0] || null;
+  }
+
+  /**
+   * Give a dom-like tree the same lookup methods a real document has, so tree.querySelectorAll('li') works just
+   * like document.querySelectorAll('li') does.
+   * @param {Object} tree - dom-like tree
+   * @return {Object} the same tree
+   */
+  function addQueryMethods(tree) {
+    tree.getElementById = function(id) {
+      return getElementById(tree, id);
+    };
+    tree.getElementsByTagName = function(tagName) {
+      return getElementsByTagName(tree, tagName);
+    };
+    tree.querySelector = function(selector) {
+      return querySelector(tree, selector);
+    };
+    tree.querySelectorAll = function(selector) {
+      return querySelectorAll(tree, selector);
+    };
+    return tree;
+  }
+
+  /**
+   * Everything below turns a string of HTML into the same dom-like tree createDOMLikeObject() builds from a live
+   * document, without a browser (in a Node script or a unit test, for instance). It comes in two parts, just like
+   * a browser's parser: a tokenizer that chops the markup up into tags, text and comments, and a tree builder that
+   * puts those tokens together into a tree.
+   *
+   * It's nowhere near the full HTML parsing algorithm (https://html.spec.whatwg.org/multipage/parsing.html), but it
+   * handles what real pages lean on the most: void elements, end tags that can be left out, attributes with or
+   * without quotes, comments, and elements like <script> whose content isn't markup at all.
+   */
+
+  /**
+   * Void elements can't have any content, so they never get an end tag. <br> and <br/> mean the same thing.
+   */
+  var voidElements = {
+    AREA: true,
+    BASE: true,
+    BR: true,
+    COL: true,
+    EMBED: true,
+    HR: true,
+    IMG: true,
+    INPUT: true,
+    LINK: true,
+    META: true,
+    PARAM: true,
+    SOURCE: true,
+    TRACK: true,
+    WBR: true
+  };
+
+  /**
+   * The content of these elements is text, right up to their end tag, even if it looks like markup (think of a
+   * script with '<div>' in a string). The value is whether character references (&amp;) get decoded in them.
+   */
+  var rawTextElements = {
+    SCRIPT: false,
+    STYLE: false,
+    TEXTAREA: true,
+    TITLE: true
+  };
+
+  /**
+   * Elements that belong in the <head> if they show up before anything that belongs in the <body>.
+   */
+  var headElements = {
+    BASE: true,
+    LINK: true,
+    META: true,
+    NOSCRIPT: true,
+    SCRIPT: true,
+    STYLE: true,
+    TITLE: true
+  };
+
+  /**
+   * Some end tags can be left out: opening one of these elements closes any of the listed elements that are
+   * still open at the end of the stack (ie: a new <li> closes the previous <li>, and a <div> closes a <p>).
+   */
+  var paragraphClosers = [
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DIV', 'DL', 'FIELDSET',
+    'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR',
+    'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL'
+  ];
+  var impliedEndTagMap = {
+    LI: ['P'],
+    DT: ['P'],
+    DD: ['P'],
+    OPTION: ['OPTION'],
+    OPTGROUP: ['OPTION', 'OPTGROUP'],
+    TR: ['TR', 'TD', 'TH'],
+    TD: ['TD', 'TH'],
+    TH: ['TD', 'TH'],
+    THEAD: ['THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH'],
+    TBODY: ['THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH'],
+    TFOOT: ['THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH']
+  };
+  paragraphClosers.forEach(function(tagName) {
+    impliedEndTagMap[tagName] = ['P'];
+  });
+
+  /**
+   * A new list item closes the one that's open even if it isn't the current node, along with everything inside it
+   * that's still open (ie: <li><a>One<li>Two closes the <a> and the first <li>). The search for an open item stops
+   * at the first special element that isn't an <address>, <div> or <p>, so an item of a nested list never closes
+   * the item of the list around it.
+   *
+   * https://html.spec.whatwg.org/multipage/parsing.html#parsing-main-inbody
+   */
+  var listItemEndTagMap = {
+    LI: ['LI'],
+    DT: ['DT', 'DD'],
+    DD: ['DT', 'DD']
+  };
+  var specialElements = {};
+  [
+    'APPLET', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'BUTTON', 'CAPTION',
+    'CENTER', 'COLGROUP', 'DD', 'DETAILS', 'DIR', 'DL', 'DT', 'FIELDSET',
+    'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'FRAMESET', 'H1', 'H2', 'H3',
+    'H4', 'H5', 'H6', 'HEAD', 'HEADER', 'HGROUP', 'HTML', 'IFRAME', 'LI',
+    'LISTING', 'MAIN', 'MARQUEE', 'MENU', 'NAV', 'NOEMBED', 'NOFRAMES',
+    'NOSCRIPT', 'OBJECT', 'OL', 'PLAINTEXT', 'PRE', 'SCRIPT', 'SECTION',
+    'SELECT', 'STYLE', 'SUMMARY', 'TABLE', 'TBODY', 'TD', 'TEMPLATE',
+    'TEXTAREA', 'TFOOT', 'TH', 'THEAD', 'TITLE', 'TR', 'UL', 'XMP'
+  ].forEach(function(tagName) {
+    specialElements[tagName] = true;
+  });
+
+  /**
+   * The named character references we decode. There are over two thousand of them, but these are the ones that
+   * show up all the time. Numeric references (&#169; and &#xA9;) work for any character.
+   */
+  var characterReferenceMap = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    copy: '©',
+    reg: '®',
+    hellip: '…',
+    mdash: '—',
+    ndash: '–'
+  };
+
+  /**
+   * Each kind of token starts with a different pattern. The tokenizer tries them in order at the current position.
+   */
+  var tagNamePattern = '[a-zA-Z][^\\s/>]*';
+  var commentToken = /^<!--([\s\S]*?)(?:-->|$)/;
+  var declarationToken = /^<[!?][^>]*>?/; // doctypes, processing instructions, etc
+  var endTagToken = new RegExp('^</(' + tagNamePattern + ')[^>]*>?');
+  var startTagToken = new RegExp('^<(' + tagNamePattern + ')');
+  var attributeToken = new RegExp([
+    '^\\s*([^\\s"\'>/=]+)',
+    '(?:\\s*=\\s*(?:"([^"]*)"?|\'([^\']*)\'?|([^\\s>]*)))?'
+  ].join(''));
+  var textToken = /^[^<]+|^</;
+
+  /**
+   * Replace character references (&amp;, &#169;, &#xA9;) with the characters they stand for. Anything we don't
+   * recognize is left alone.
+   * @param {String} text - text from the markup
+   * @return {String} decoded text
+   */
+  function decodeCharacterReferences(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g,
+      function(reference, name) {
+        var codePoint;
+
+        if (name.charAt(0) !== '#') {
+          return characterReferenceMap[name] || reference;
+        }
+
+        codePoint = /^#[xX]/.test(name) ?
+          parseInt(name.slice(2), 16) :
+          parseInt(name.slice(1), 10);
+
+        return codePoint > 0 && codePoint <= 0x10FFFF ?
+          String.fromCodePoint(codePoint) :
+          reference;
+      });
+  }
+
+  /**
+   * Read a start tag's attributes, starting right after its name.
+   * @param {String} markup - the markup, from the end of the tag name onwards
+   * @return {Object} attributes, selfClosing, and the length of markup that was read
+   */
+  function readAttributes(markup) {
+    var attributes = {};
+    var rest = markup;
+    var match;
+    var name;
+    var value;
+
+    while ((match = attributeToken.exec(rest))) {
+      name = match[1].toLowerCase();
+      value = [match[2], match[3], match[4]].filter(function(part) {
+        return part !== undefined;
+      })[0];
+
+      // If an attribute shows up twice, the first one wins
+      if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+        attributes[name] = decodeCharacterReferences(value || '');
+      }
+
+      rest = rest.slice(match[0].length);
+    }
+
+    match = /^\s*(\/?)\s*(>|$)/.exec(rest) || /^[^>]*(>|$)/.exec(rest);
+
+    return {
+      attributes: attributes,
+      selfClosing: match[1] === '/',
+      length: markup.length - rest.length + match[0].length
+    };
+  }
+
+  /**
+   * Chop a string of markup up into tokens:
+   *  {type: 'startTag', tagName, attributes, selfClosing}
+   *  {type: 'endTag', tagName}
+   *  {type: 'text', value}
+   *  {type: 'comment', value}
+   *
+   * @param {String} markup - HTML markup
+   * @return {Array} tokens
+   */
+  function tokenizeHTML(markup) {
+    var tokens = [];
+    var rest = markup;
+    var match;
+    var tagName;
+    var tag;
+    var end;
+
+    while (rest) {
+      if ((match = commentToken.exec(rest))) {
+        tokens.push({type: 'comment', value: match[1]});
+      } else if ((match = declarationToken.exec(rest))) {
+        // Doctypes don't show up in our trees, so there's nothing to keep
+      } else if ((match = endTagToken.exec(rest))) {
+        tokens.push({type: 'endTag', tagName: match[1].toUpperCase()});
+      } else if ((match = startTagToken.exec(rest))) {
+        tagName = match[1].toUpperCase();
+        tag = readAttributes(rest.slice(match[0].length));
+        tokens.push({
+          type: 'startTag',
+          tagName: tagName,
+          attributes: tag.attributes,
+          selfClosing: tag.selfClosing
+        });
+        match = [rest.slice(0, match[0].length + tag.length)];
+
+        // Everything up to the end tag of a raw text element is its text
+        if (rawTextElements[tagName] !== undefined) {
+          rest = rest.slice(match[0].length);
+          end = rest.search(new RegExp('</' + tagName + '[\\s/>]', 'i'));
+          end = end === -1 ? rest.length : end;
+          if (end) {
+            tokens.push({
+              type: 'text',
+              value: rawTextElements[tagName] ?
+                decodeCharacterReferences(rest.slice(0, end)) :
+                rest.slice(0, end)
+            });
+          }
+          match = [rest.slice(0, end)];
+        }
+      } else {
+        // A '<' that doesn't start a tag is just text
+        match = textToken.exec(rest);
+        tokens.push({
+          type: 'text',
+          value: decodeCharacterReferences(match[0])
+        });
+      }
+
+      rest = rest.slice(match[0].length);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * A node from the tree builder. These are shaped just enough like DOM nodes for traverseDomNodes() to walk
+   * them. Nobody outside of parseHTML() ever sees them: once they are walked, parseHTML() lets go of them (see
+   * clearNodeRefs).
+   * @param {Number} nodeType - one of the node types
+   * @param {String} nodeName - #document, #text, #comment or the tag name
+   * @param {String} [nodeValue] - text of text and comment nodes
+   * @return {Object} parsed node
+   */
+  function createParsedNode(nodeType, nodeName, nodeValue) {
+    return {
+      nodeType: nodeType,
+      nodeName: nodeName,
+      nodeValue: nodeValue === undefined ? null : nodeValue,
+      tagName: nodeType === ELEMENT_NODE ? nodeName : undefined,
+      attributes: {},
+      childNodes: [],
+      __nodeRef: null
+    };
+  }
+
+  /**
+   * Build a tree out of tokens. Like a browser, the tree builder keeps a stack of the elements that are still
+   * open. A start tag adds its element to the stack, and an end tag pops everything up to (and including) the
+   * element it closes. End tags that don't close anything are ignored.
+   *
+   * Every document ends up with an <html>, a <head> and a <body>, even if the markup leaves them out. Elements
+   * like <title> and <meta> go in the head, until the first thing that belongs in the body shows up.
+   *
+   * Forms can't be nested. Like in a browser, a <form> start tag is ignored until the open form's end tag shows up,
+   * and that end tag only takes the form off the stack, leaving any elements still open inside it open.
+   *
+   * @param {Array} tokens - tokens from tokenizeHTML
+   * @return {Object} parsed document
+   */
+  function buildParsedTree(tokens) {
+    var doc = createParsedNode(DOCUMENT_NODE, '#document');
+    var html = null;
+    var head = null;
+    var body = null;
+    var form = null;
+    var stack = [doc];
+
+    var currentNode = function() {
+      return stack[stack.length - 1];
+    };
+
+    var append = function(parent, node) {
+      parent.childNodes.push(node);
+      return node;
+    };
+
+    var createElement = function(token) {
+      var element = createParsedNode(ELEMENT_NODE, token.tagName);
+      element.attributes = token.attributes;
+      if (token.attributes.id) {
+        element.id = token.attributes.id;
+      }
+      return element;
+    };
+
+    // <html>, <head> and <body> tags that show up late only add their attributes to the elements we made
+    var mergeAttributes = function(element, token) {
+      Object.keys(token ? token.attributes : {}).forEach(function(name) {
+        if (!Object.prototype.hasOwnProperty.call(element.attributes, name)) {
+          element.attributes[name] = token.attributes[name];
+        }
+      });
+      element.id = element.attributes.id || element.id;
+    };
+
+    var ensureHtml = function(token) {
+      if (!html) {
+        html = append(doc, createParsedNode(ELEMENT_NODE, 'HTML'));
+        stack = [doc, html];
+      }
+      mergeAttributes(html, token);
+    };
+
+    var ensureHead = function(token) {
+      ensureHtml();
+      if (!head) {
+        head = append(html, createParsedNode(ELEMENT_NODE, 'HEAD'));
+        stack = [doc, html, head];
+      }
+      mergeAttributes(head, token);
+    };
+
+    var ensureBody = function(token) {
+      ensureHead();
+      if (!body) {
+        body = append(html, createParsedNode(ELEMENT_NODE, 'BODY'));
+        stack = [doc, html, body];
+      }
+      mergeAttributes(body, token);
+    };
+
+    var closeElement = function(tagName) {
+      var i;
+
+      for (i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === tagName) {
+          stack.length = i;
+          return;
+        }
+      }
+    };
+
+    // See listItemEndTagMap
+    var closeListItem = function(tagNames) {
+      var i;
+      var tagName;
+
+      for (i = stack.length - 1; i > 0; i--) {
+        tagName = stack[i].tagName;
+        if (tagNames.indexOf(tagName) !== -1) {
+          stack.length = i;
+          return;
+        }
+        if (specialElements[tagName] &&
+          ['ADDRESS', 'DIV', 'P'].indexOf(tagName) === -1) {
+          return;
+        }
+      }
+    };
+
+    /**
+     * Each token type is handled by a function in this map, in the same spirit as docRefTagsMap.
+     */
+    var tokenHandlerMap = {
+      comment: function(token) {
+        append(currentNode(), createParsedNode(COMMENT_NODE, '#comment',
+          token.value));
+      },
+      text: function(token) {
+        var isOutsideBody = [doc, html, head].indexOf(currentNode()) !== -1;
+
+        // Whitespace between the structural tags is dropped, but any other text belongs in the body
+        if (isOutsideBody) {
+          if (/^\s*$/.test(token.value)) {
+            return;
+          }
+          ensureBody();
+        }
+
+        append(currentNode(), createParsedNode(TEXT_NODE, '#text',
+          token.value));
+      },
+      startTag: function(token) {
+        var tagName = token.tagName;
+        var element;
+
+        if (tagName === 'HTML') {
+          ensureHtml(token);
+          return;
+        }
+        if (tagName === 'HEAD' && !body) {
+          ensureHead(token);
+          return;
+        }
+        if (tagName === 'BODY') {
+          ensureBody(token);
+          return;
+        }
+
+        if (!body && headElements[tagName]) {
+          ensureHead();
+        } else {
+          ensureBody();
+        }
+
+        if (tagName === 'FORM' && form) {
+          return;
+        }
+
+        if (listItemEndTagMap[tagName]) {
+          closeListItem(listItemEndTagMap[tagName]);
+        }
+
+        while ((impliedEndTagMap[tagName] || []).indexOf(
+          currentNode().tagName) !== -1) {
+          stack.pop();
+        }
+
+        element = append(currentNode(), createElement(token));
+        if (tagName === 'FORM') {
+          form = element;
+        }
+
+        // A trailing slash only ends void elements, so <div/> stays open just like <div> does in a browser
+        if (!voidElements[tagName]) {
+          stack.push(element);
+        }
+      },
+      endTag: function(token) {
+        // Anything after </body> or </html> still goes in the body, just like in a browser
+        if (token.tagName === 'BODY' || token.tagName === 'HTML') {
+          return;
+        }
+        if (token.tagName === 'HEAD') {
+          if (head && !body) {
+            stack = [doc, html];
+          }
+          return;
+        }
+        if (token.tagName === 'FORM') {
+          if (stack.indexOf(form) !== -1) {
+            stack.splice(stack.indexOf(form), 1);
+          }
+          form = null;
+          return;
+        }
+        closeElement(token.tagName);
+      }
+    };
+
+    tokens.forEach(function(token) {
+      tokenHandlerMap[token.type](token);
+    });
+
+    ensureBody();
+    return doc;
+  }
+
+  /**
+   * Point every node's __nodeRef at nothing. A tree walked from the tree builder's nodes would otherwise point at
+   * them, and keep a second copy of the whole document around for no reason. Like the nodes of a deserialized
+   * snapshot, parsed nodes have no live node behind them, and trees walked from them point back at them instead.
+   * @param {Object} node - dom-like node (or tree)
+   * @return {Object} node
+   */
+  function clearNodeRefs(node) {
+    node.__nodeRef = null;
+    (node.hiddenChildNodes || node.childNodes).forEach(clearNodeRefs);
+    return node;
+  }
+
+  /**
+   * Parse a string of HTML into a dom-like tree, just like the one createDOMLikeObject() makes out of a live
+   * document. No browser needed, so this works in Node too:
+   *
+   *  var tree = domToCanvas.parseHTML(fs.readFileSync('page.html', 'utf8'));
+   *  tree.querySelectorAll('a[href]').length;
+   *
+   * Options are the same as createDOMLikeObject's, plus:
+   *  width - the width the tree is laid out for, like a canvas' (default 400)
+   *
+   * @param {String} markup - HTML markup
+   * @param {Object} [options] - traversal options
+   * @return {Object} Dom-like Tree
+   */
+  function parseHTML(markup, options) {
+    options = options || {};
+    return clearNodeRefs(createDOMLikeObject(
+      buildParsedTree(tokenizeHTML(String(markup))), 0, options.width || 400,
+      options));
+  }
+
+  /**
+   * The version of the format produced by serializeTree(). If the format ever changes, this number goes up, so
+   * deserializeTree() can tell an old snapshot apart from a new one.
+   */
+  var snapshotVersion = 1;
+
+  /**
+   * The document references that point at a single node, and the ones that point at a list of nodes.
+   */
+  var docNodeRefs = ['documentElement', 'head', 'body'];
+  var docListRefs = ['links', 'images', 'scripts', 'forms'];
+
+  /**
+   * Turn a dom-like node (and its descendants) into plain data.
+   *
+   * parentNode and the sibling properties point back into the tree, which is what makes it circular. We leave them
+   * out, since they can be rebuilt from childNodes. The same goes for __nodeRef, which points at a live node.
+   *
+   * @param {Object} node - dom-like node
+   * @param {Map} indexes - gets each node's position in the tree (in the order the nodes were visited)
+   * @return {Object} JSON friendly node
+   */
+  function serializeNode(node, indexes) {
+    indexes.set(node, indexes.size);
+
+    return {
+      nodeType: node.nodeType,
+      nodeName: node.nodeName,
+      nodeValue: node.nodeValue,
+      tagName: node.tagName,
+      id: node.id,
+      attributes: Object.assign({}, node.attributes),
+      depth: node.depth,
+      start: node.start,
+      end: node.end,
+      leafCount: node.leafCount,
+      diff: node.diff,
+      diffAttributes: node.diffAttributes,
+      boundary: node.boundary,
+      collapsedCount: node.collapsedCount,
+      childNodes: node.childNodes.map(function(child) {
+        return serializeNode(child, indexes);
+      })
+    };
+  }
+
+  /**
+   * Serialize a dom-like tree into a JSON string, so it can be saved or sent somewhere.
+   *
+   * The document references (ids, links, images, scripts, forms, etc) point at nodes in the tree, so we store them
+   * as the position of the node in the tree instead.
+   *
+   * @param {Object} tree - dom-like tree from createDOMLikeObject
+   * @return {String} JSON snapshot of the tree
+   */
+  function serializeTree(tree) {
+    var indexes = new Map();
+    var snapshot = {
+      version: snapshotVersion,
+      largestDepth: tree.largestDepth,
+      root: serializeNode(tree, indexes),
+      ids: {}
+    };
+
+    var toIndex = function(node) {
+      return indexes.has(node) ? indexes.get(node) : null;
+    };
+
+    docNodeRefs.forEach(function(ref) {
+      snapshot[ref] = toIndex(tree[ref]);
+    });
+
+    docListRefs.forEach(function(ref) {
+      snapshot[ref] = (tree[ref] || []).map(toIndex);
+    });
+
+    Object.keys(tree.ids || {}).forEach(function(id) {
+      snapshot.ids[id] = toIndex(tree.ids[id]);
+    });
+
+    return JSON.stringify(snapshot);
+  }
+
+  /**
+   * Rebuild a dom-like node (and its descendants) from plain data, relinking the parent and sibling properties
+   * the same way traverseDomNodes() does.
+   *
+   * @param {Object} data - JSON friendly node from serializeNode()
+   * @param {Object} parentNode - the rebuilt parent node
+   * @param {Array} nodes - gets each rebuilt node, in the order they were visited
+   * @return {Object} dom-like node
+   */
+  function rehydrateNode(data, parentNode, nodes) {
+    var newNode = {
+      nodeType: data.nodeType,
+      nodeName: data.nodeName,
+      nodeValue: data.nodeValue,
+      isWhitespace: isWhitespaceNode(data),
+
+      firstChild: null,
+      lastChild: null,
+      nextSibling: null,
+      previousSibling: null,
+      childNodes: [],
+
+      firstElementChild: null,
+      lastElementChild: null,
+      nextElementSibling: null,
+      previousElementSibling: null,
+
+      children: [],
+      childElementCount: 0,
+      attributes: data.attributes || {},
+      depth: data.depth,
+      end: data.end,
+      start: data.start,
+      leafCount: data.leafCount,
+      tagName: data.tagName,
+      parentNode: parentNode,
+
+      diff: data.diff,
+      diffAttributes: data.diffAttributes,
+      boundary: data.boundary,
+      collapsedCount: data.collapsedCount,
+
+      __nodeRef: null // there is no live node behind a rehydrated tree
+    };
+
+    if (data.id) {
+      newNode.id = data.id;
+    }
+
+    nodes.push(newNode);
+
+    newNode.childNodes = data.childNodes.map(function(childData) {
+      return rehydrateNode(childData, newNode, nodes);
+    });
+    newNode.children = newNode.childNodes.filter(function(child) {
+      return child.nodeType === ELEMENT_NODE;
+    });
+    newNode.childElementCount = newNode.children.length;
+
+    if (newNode.childNodes.length) {
+      newNode.firstChild = newNode.childNodes[0];
+      newNode.lastChild = newNode.childNodes[newNode.childNodes.length - 1];
+    }
+
+    var elementCount = newNode.childElementCount;
+    if (elementCount) {
+      newNode.firstElementChild = newNode.children[0];
+      newNode.lastElementChild = newNode.children[elementCount - 1];
+    }
+
+    linkSiblings(newNode.childNodes, 'previousSibling', 'nextSibling');
+    linkSiblings(newNode.children, 'previousElementSibling',
+      'nextElementSibling');
+
+    return newNode;
+  }
+
+  /**
+   * Rebuild a dom-like tree from a snapshot made by serializeTree(). The result can be passed to drawDOM() just
+   * like a tree from createDOMLikeObject(), even if there is no live document around anymore.
+   *
+   * @param {String|Object} json - JSON snapshot (or the already parsed object)
+   * @return {Object} Dom-like Tree
+   */
+  function deserializeTree(json) {
+    var snapshot = typeof json === 'string' ? JSON.parse(json) : json;
+    var nodes = [];
+
+    if (!snapshot || snapshot.version !== snapshotVersion) {
+      throw new Error('Unsupported dom-to-canvas snapshot version: ' +
+        (snapshot && snapshot.version));
+    }
+
+    var tree = rehydrateNode(snapshot.root, null, nodes);
+    var toNode = function(index) {
+      return nodes[index] || null;
+    };
+
+    tree.largestDepth = snapshot.largestDepth;
+    tree.ids = {};
+
+    docNodeRefs.forEach(function(ref) {
+      tree[ref] = toNode(snapshot[ref]);
+    });
+
+    docListRefs.forEach(function(ref) {
+      tree[ref] = (snapshot[ref] || []).map(toNode);
+    });
+
+    Object.keys(snapshot.ids || {}).forEach(function(id) {
+      tree.ids[id] = toNode(snapshot.ids[id]);
+    });
+
+    return addQueryMethods(tree);
+  }
+
+  /**
+   * Match up the children of two nodes that we already know correspond to each other.
+   *
+   * Children that were already matched by id are skipped. The rest are matched by structural position: the first
+   * unmatched <div> in the before list goes with the first unmatched <div> in the after list, and so on.
+   *
+   * @param {Object} beforeNode - node from the before tree
+   * @param {Object} afterNode - node from the after tree
+   * @param {Object} matches - {after: Map, before: Map} of the nodes matched so far
+   */
+  function matchDiffChildren(beforeNode, afterNode, matches) {
+    var candidates = {};
+
+    beforeNode.childNodes.forEach(function(child) {
+      var key = getNodeKey(child);
+      if (!matches.before.has(child)) {
+        candidates[key] = candidates[key] || [];
+        candidates[key].push(child);
+      }
+    });
+
+    afterNode.childNodes.forEach(function(child) {
+      var queue = candidates[getNodeKey(child)];
+      var match;
+
+      if (matches.after.has(child) || !queue || !queue.length) {
+        return;
+      }
+
+      match = queue.shift();
+      matches.after.set(child, match);
+      matches.before.set(match, child);
+    });
+  }
+
+  /**
+   * Compare the attributes (or text, for text and comment nodes) of two matched nodes.
+   * @param {Object} beforeNode - node from the before tree
+   * @param {Object} afterNode - node from the after tree
+   * @return {Object} map of changed attribute names to {before, after} values, or null if nothing changed
+   */
+  function getChangedAttributes(beforeNode, afterNode) {
+    var changes = {};
+    var hasChanges = false;
+    var names = Object.keys(beforeNode.attributes).concat(
+      Object.keys(afterNode.attributes));
+
+    names.forEach(function(name) {
+      var beforeValue = beforeNode.attributes[name];
+      var afterValue = afterNode.attributes[name];
+
+      if (beforeValue !== afterValue) {
+        changes[name] = {before: beforeValue, after: afterValue};
+        hasChanges = true;
+      }
+    });
+
+    if (beforeNode.nodeValue !== afterNode.nodeValue) {
+      changes.nodeValue = {
+        before: beforeNode.nodeValue,
+        after: afterNode.nodeValue
+      };
+      hasChanges = true;
+    }
+
+    return hasChanges ? changes : null;
+  }
+
+  /**
+   * Find which siblings kept their order. If siblings were reordered, we want to mark as few of them as possible as
+   * moved, so we keep the longest run of siblings that are still in increasing order (the longest increasing
+   * subsequence) and treat everyone else as moved.
+   *
+   * https://en.wikipedia.org/wiki/Longest_increasing_subsequence
+   *
+   * @param {Array} indexes - each sibling's index in the before tree, or -1 if it wasn't there
+   * @return {Array} true for every sibling that is out of order
+   */
+  function getOutOfOrderSiblings(indexes) {
+    var tails = []; // tails[length] = position of the smallest tail of an increasing run of length + 1
+    var previous = [];
+    var outOfOrder = indexes.map(function(index) {
+      return index !== -1;
+    });
+    var position;
+
+    indexes.forEach(function(index, i) {
+      var low = 0;
+      var high = tails.length;
+      var middle;
+
+      if (index === -1) {
+        return;
+      }
+
+      while (low < high) {
+        middle = Math.floor((low + high) / 2);
+        if (indexes[tails[middle]] < index) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+
+      previous[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    });
+
+    // Walk back through the longest run, marking those siblings as in order.
+    position = tails.length ? tails[tails.length - 1] : -1;
+    while (position !== -1) {
+      outOfOrder[position] = false;
+      position = previous[position];
+    }
+
+    return outOfOrder;
+  }
+
+  /**
+   * Make a plain node for the merged diff tree. It has just enough of a node's properties for
+   * createDOMLikeObject() to turn it into a proper dom-like node.
+   *
+   * @param {Object} source - node from the before or after tree
+   * @param {String} diff - added, removed, moved, changed or unchanged
+   * @param {Object} diffAttributes - attributes that changed, if any
+   * @return {Object} plain node
+   */
+  function createDiffNode(source, diff, diffAttributes) {
+    return {
+      nodeType: source.nodeType,
+      nodeName: source.nodeName,
+      nodeValue: source.nodeValue,
+      tagName: source.tagName,
+      id: source.id,
+      attributes: Object.assign({}, source.attributes),
+      childNodes: [],
+      children: [],
+      diff: diff,
+      diffAttributes: diffAttributes || undefined,
+      boundary: source.boundary,
+      __nodeRef: source.__nodeRef || source
+    };
+  }
+
+  /**
+   * A node that was removed, along with the rest of its subtree. Descendants that were matched somewhere else
+   * in the after tree show up there (as moved) instead.
+   *
+   * @param {Object} beforeNode - node from the before tree
+   * @param {Object} matches - {after: Map, before: Map} of the matched nodes
+   * @return {Object} plain node
+   */
+  function mergeRemovedNode(beforeNode, matches) {
+    var merged = createDiffNode(beforeNode, 'removed');
+
+    beforeNode.childNodes.forEach(function(child) {
+      if (!matches.before.has(child)) {
+        merged.childNodes.push(mergeRemovedNode(child, matches));
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Build the merged node for a node in the after tree, and figure out what happened to it:
+   *
+   *  added - it has no match in the before tree
+   *  moved - it has a match, but under a different parent, or out of order with its siblings
+   *  changed - it has a match in the same spot, but its attributes changed
+   *  unchanged - nothing to see here
+   *
+   * Children that were removed are put back in, at the position they had in the before tree.
+   *
+   * @param {Object} afterNode - node from the after tree
+   * @param {Object} matches - {after: Map, before: Map} of the matched nodes
+   * @param {Boolean} isOutOfOrder - whether the node was reordered among its siblings
+   * @return {Object} plain node
+   */
+  function mergeDiffNode(afterNode, matches, isOutOfOrder) {
+    var beforeNode = matches.after.get(afterNode);
+    var beforeParent = matches.after.get(afterNode.parentNode) || null;
+    var diffAttributes = beforeNode &&
+      getChangedAttributes(beforeNode, afterNode);
+    var beforeIndexes;
+    var outOfOrder;
+    var diff;
+    var merged;
+
+    if (!beforeNode) {
+      diff = 'added';
+    } else if (isOutOfOrder || beforeNode.parentNode !== beforeParent) {
+      diff = 'moved';
+    } else if (diffAttributes) {
+      diff = 'changed';
+    } else {
+      diff = 'unchanged';
+    }
+
+    merged = createDiffNode(afterNode, diff, diffAttributes);
+
+    // Where each child used to be, if it used to be a child of this same node
+    beforeIndexes = afterNode.childNodes.map(function(child) {
+      var beforeChild = matches.after.get(child);
+      return beforeChild && beforeNode ?
+        beforeNode.childNodes.indexOf(beforeChild) :
+        -1;
+    });
+    outOfOrder = getOutOfOrderSiblings(beforeIndexes);
+
+    afterNode.childNodes.forEach(function(child, index) {
+      merged.childNodes.push(mergeDiffNode(child, matches, outOfOrder[index]));
+    });
+
+    if (beforeNode) {
+      beforeNode.childNodes.forEach(function(child, index) {
+        if (!matches.before.has(child)) {
+          merged.childNodes.splice(Math.min(index, merged.childNodes.length), 0,
+            mergeRemovedNode(child, matches));
+        }
+      });
+    }
+
+    merged.children = merged.childNodes.filter(function(child) {
+      return child.nodeType === ELEMENT_NODE;
+    });
+
+    return merged;
+  }
+
+  /**
+   * Compare two dom-like trees (from createDOMLikeObject or deserializeTree), and build a merged tree
+   * with every node from both. Each node gets a diff property: added, removed, moved, changed or unchanged.
+   * Nodes that changed also get a diffAttributes property, mapping each changed attribute to {before, after}.
+   *
+   * Nodes are matched by id first, wherever they are in the tree. Everything else is matched by structural
+   * position, starting at the roots and working down.
+   *
+   * Draw the result with drawDOM(canvas, diff, {diff: true}) to color each node by its status.
+   *
+   * @param {Object} before - dom-like tree from before the change
+   * @param {Object} after - dom-like tree from after the change
+   * @return {Object} Dom-like Tree
+   */
+  function diffTrees(before, after) {
+    var matches = {after: new Map(), before: new Map()};
+    var beforeIds = before.ids || {};
+
+    matches.after.set(after, before);
+    matches.before.set(before, after);
+
+    Object.keys(after.ids || {}).forEach(function(id) {
+      var afterNode = after.ids[id];
+      var beforeNode = beforeIds[id];
+
+      if (beforeNode && beforeNode.tagName === afterNode.tagName) {
+        matches.after.set(afterNode, beforeNode);
+        matches.before.set(beforeNode, afterNode);
+      }
+    });
+
+    /**
+     * Walk down the after tree. A parent is always matched before its children are, so by the time we get to a node
+     * we know whether it has a partner to match its children against.
+     */
+    (function matchDescendants(afterNode) {
+      var beforeNode = matches.after.get(afterNode);
+      if (beforeNode) {
+        matchDiffChildren(beforeNode, afterNode, matches);
+      }
+      afterNode.childNodes.forEach(matchDescendants);
+    })(after);
+
+    /**
+     * The merged tree may hold text and comment nodes from the trees we were given, so we walk all of them. Any
+     * filtering has already happened when the before and after trees were made.
+     */
+    return createDOMLikeObject(mergeDiffNode(after, matches, false),
+      after.start, after.end, {
+        textNodes: true,
+        commentNodes: true,
+        whitespaceNodes: true
+      });
+  }
+
+  /**
+   * MutationRecords are live objects that point at live nodes. We copy the parts we care about into a plain object,
+   * along with the new value of whatever changed (the record only has the old one).
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/MutationRecord
+   *
+   * @param {MutationRecord} record - record from a MutationObserver
+   * @param {Number} time - milliseconds since recording started
+   * @return {Object} plain mutation record
+   */
+  function toMutationData(record, time) {
+    var target = record.target;
+    var data = {
+      type: record.type,
+      time: time,
+      target: target,
+      addedNodes: Array.prototype.slice.call(record.addedNodes),
+      removedNodes: Array.prototype.slice.call(record.removedNodes),
+      attributeName: record.attributeName,
+      oldValue: record.oldValue,
+      newValue: null
+    };
+
+    if (record.type === 'attributes') {
+      data.newValue = target.getAttribute(record.attributeName);
+    } else if (record.type === 'characterData') {
+      data.newValue = target.nodeValue;
+    }
+
+    return data;
+  }
+
+  /**
+   * Whether a node's compact copy from the last step still describes it. Its children have already been compacted,
+   * so if they are the same objects as the copy's, nothing below the node changed either.
+   * @param {Object} compact - compact node from the last step
+   * @param {Object} node - dom-like node
+   * @param {Array} childNodes - the node's compacted children
+   * @return {Boolean} true if the compact node can be reused
+   */
+  function isSameCompactNode(compact, node, childNodes) {
+    var names = Object.keys(node.attributes);
+
+    return compact.nodeValue === node.nodeValue && compact.id === node.id &&
+      compact.boundary === node.boundary &&
+      compact.collapsedCount === node.collapsedCount &&
+      compact.childNodes.length === childNodes.length &&
+      compact.childNodes.every(function(child, i) {
+        return child === childNodes[i];
+      }) &&
+      Object.keys(compact.attributes).length === names.length &&
+      names.every(function(name) {
+        return compact.attributes[name] === node.attributes[name];
+      });
+  }
+
+  /**
+   * A copy of a dom-like node (and its descendants) with just the node's own data: no parent, sibling or layout
+   * properties, which change whenever anything else in the tree does. That makes a copy of a subtree that didn't
+   * change the same as the copy we made last time, so we reuse that one instead.
+   *
+   * A compact node keeps its __nodeRef, so it can be walked by createDOMLikeObject() like any other dom-like node.
+   *
+   * @param {Object} node - dom-like node
+   * @param {Map} previousNodes - live node => compact node, from the last step
+   * @param {Map} nodes - gets a live node => compact node entry for every node in this step
+   * @return {Object} compact node
+   */
+  function compactNode(node, previousNodes, nodes) {
+    var childNodes = node.childNodes.map(function(child) {
+      return compactNode(child, previousNodes, nodes);
+    });
+    var compact = previousNodes.get(node.__nodeRef);
+
+    if (!compact || !isSameCompactNode(compact, node, childNodes)) {
+      compact = {
+        nodeType: node.nodeType,
+        nodeName: node.nodeName,
+        nodeValue: node.nodeValue,
+        tagName: node.tagName,
+        id: node.id,
+        attributes: node.attributes,
+        boundary: node.boundary,
+        collapsedCount: node.collapsedCount,
+        childNodes: childNodes,
+        __nodeRef: node.__nodeRef
+      };
+    }
+
+    nodes.set(node.__nodeRef, compact);
+    return compact;
+  }
+
+  /**
+   * Record every change made to a document (or any other node) over time.
+   *
+   * Each time the MutationObserver calls us back, we store a step with a timestamp, the mutation records, the live
+   * nodes they touched, and a dom-like tree of what the target looked like right after. Replaying the page at any
+   * point is then just a matter of drawing that step's tree.
+   *
+   * A busy page takes a lot of steps, and most of the page stays the same from one step to the next. So a step
+   * doesn't hold on to a whole tree: it keeps a compact copy (see compactNode) that shares every subtree that didn't
+   * change with the step before it. Its tree is walked from that copy (and laid out again) the first time someone
+   * asks for step.tree. Only the last tree asked for is kept around.
+   *
+   * The first step is taken when recording starts, and has no records.
+   *
+   * Options (anything else is passed to createDOMLikeObject):
+   *  width - width to lay out each step's tree in (default 400)
+   *  maxSteps - how many steps to keep, the oldest ones get dropped first (default 200)
+   *  ignore - function(record) that returns true for any MutationRecord that shouldn't be recorded
+   *  onStep - function(step, recorder) that gets called after each step is recorded
+   *  onDrop - function(step, recorder) that gets called when the oldest step is dropped to make room for a new one
+   *
+   * @param {Node} target - node to watch, usually the document
+   * @param {Object} [options] - recorder options
+   * @return {Object} recorder with steps, start(), stop() and clear()
+   */
+  function createMutationRecorder(target, options) {
+    options = options || {};
+
+    var maxSteps = options.maxSteps || 200;
+    var width = options.width || 400;
+    var startTime;
+
+    // The compact nodes of the last step, by live node, to share with the next one
+    var lastNodes = new Map();
+
+    // The last tree somebody asked for, and the step it belongs to
+    var walkedStep = null;
+    var walkedTree = null;
+
+    /**
+     * A compact tree has already been filtered (and collapsed) the way options asked for, so walking it again only
+     * needs to keep every node it has.
+     */
+    var replayOptions = {
+      textNodes: true,
+      commentNodes: true,
+      whitespaceNodes: true,
+      split: options.split
+    };
+
+    /**
+     * Besides childList and subtree, we also want to know about attribute and text changes. The *OldValue configs
+     * ask the browser to hold on to what the value was before the change.
+     */
+    var observerConfig = {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true,
+      characterDataOldValue: true
+    };
+
+    var recorder = {
+      steps: [],
+      isRecording: false,
+      start: start,
+      stop: stop,
+      clear: clear
+    };
+
+    /**
+     * Store a step for the given records.
+     * @param {Array} records - MutationRecords (empty for the first step)
+     */
+    function recordStep(records) {
+      var time = Date.now() - startTime;
+      var touched = new Set();
+      var nodes;
+      var step;
+      var dropped;
+
+      records = records.filter(function(record) {
+        return !options.ignore || !options.ignore(record);
+      }).map(function(record) {
+        return toMutationData(record, time);
+      });
+
+      if (recorder.steps.length && !records.length) {
+        return;
+      }
+
+      // Removed nodes are no longer in the tree, so their old parent (the record's target) is what gets touched.
+      records.forEach(function(record) {
+        touched.add(record.target);
+        record.addedNodes.forEach(function(node) {
+          touched.add(node);
+        });
+      });
+
+      nodes = new Map();
+      step = {
+        time: time,
+        records: records,
+        touched: touched,
+        compactTree: compactNode(createDOMLikeObject(target, 0, width, options),
+          lastNodes, nodes)
+      };
+      lastNodes = nodes;
+
+      Object.defineProperty(step, 'tree', {
+        enumerable: true,
+        get: function() {
+          if (walkedStep !== step) {
+            walkedTree = createDOMLikeObject(step.compactTree, 0, width,
+              replayOptions);
+            walkedStep = step;
+          }
+          return walkedTree;
+        }
+      });
+
+      recorder.steps.push(step);
+      if (recorder.steps.length > maxSteps) {
+        dropped = recorder.steps.shift();
+        if (options.onDrop) {
+          options.onDrop(dropped, recorder);
+        }
+      }
+
+      if (options.onStep) {
+        options.onStep(step, recorder);
+      }
+    }
+
+    var observer = new MutationObserver(recordStep);
+
+    /**
+     * Start (or resume) recording.
+     */
+    function start() {
+      if (recorder.isRecording) {
+        return;
+      }
+
+      if (!recorder.steps.length) {
+        startTime = Date.now();
+        recordStep([]);
+      }
+
+      observer.observe(target, observerConfig);
+      recorder.isRecording = true;
+    }
+
+    /**
+     * Stop recording. The steps stay around until clear() is called.
+     */
+    function stop() {
+      observer.disconnect();
+      recorder.isRecording = false;
+    }
+
+    /**
+     * Forget every step. If we are still recording, a new first step gets taken right away.
+     */
+    function clear() {
+      recorder.steps = [];
+      lastNodes = new Map();
+      walkedStep = null;
+      walkedTree = null;
+
+      if (recorder.isRecording) {
+        startTime = Date.now();
+        recordStep([]);
+      }
+    }
+
+    return recorder;
+  }
+
+  /**
+   * A short description of a timeline step, ie: +120ms  2 childList, 1 attributes
+   * @param {Object} step - step from a mutation recorder
+   * @return {String} description of the step
+   */
+  function describeTimelineStep(step) {
+    var counts = {};
+
+    step.records.forEach(function(record) {
+      counts[record.type] = (counts[record.type] || 0) + 1;
+    });
+
+    return '+' + step.time + 'ms  ' + (Object.keys(counts).map(function(type) {
+      return counts[type] + ' ' + type;
+    }).join(', ') || 'start');
+  }
+
+  /**
+   * Nodes that were touched by the mutation we are looking at get a ring around them. This rule goes after every
+   * other rule, so it always wins.
+   * @param {Set} flashedNodes - live nodes that should get a ring
+   * @return {Object} style rule
+   */
+  function createFlashStyleRule(flashedNodes) {
+    return {
+      match: function(node) {
+        return flashedNodes.has(node.__nodeRef);
+      },
+      stroke: '#FFB900',
+      radius: 8
+    };
+  }
+
+  /**
+   * The node that has keyboard focus gets a ring of its own.
+   * @param {Function} getFocusedNode - returns the focused dom-like node
+   * @return {Object} style rule
+   */
+  function createFocusStyleRule(getFocusedNode) {
+    return {
+      match: function(node) {
+        return node === getFocusedNode();
+      },
+      stroke: '#E91E63',
+      radius: 7
+    };
+  }
+
+  /**
+   * While searching, everything that doesn't match the selector fades into the background, and the matches get an
+   * outline. These rules go after the custom ones, so the search always shows through.
+   * @param {Set} searchMatches - dom-like nodes that match the search
+   * @return {Array} style rules
+   */
+  function createSearchStyleRules(searchMatches) {
+    return [{
+      match: function(node) {
+        return !searchMatches.has(node);
+      },
+      fill: '#E8E8E8',
+      edge: '#F2F2F2',
+      showLabel: false
+    }, {
+      match: function(node) {
+        return searchMatches.has(node);
+      },
+      stroke: '#000'
+    }];
+  }
+
+  /**
+   * Find the node in a tree that was built from a given node. Every time a tree gets rebuilt, its nodes are brand
+   * new objects, but they still point at the same __nodeRef.
+   * @param {Object} node - dom-like node to start searching from
+   * @param {Object} nodeRef - the __nodeRef we are looking for
+   * @param {Boolean} [includeHidden] - also look inside collapsed nodes
+   * @return {Object} the matching dom-like node, or null
+   */
+  function findNodeByRef(node, nodeRef, includeHidden) {
+    var children = includeHidden && node.hiddenChildNodes || node.childNodes;
+    var found = null;
+    var i;
+
+    if (node.__nodeRef === nodeRef) {
+      return node;
+    }
+
+    for (i = 0; i < children.length && !found; i++) {
+      found = findNodeByRef(children[i], nodeRef, includeHidden);
+    }
+
+    return found;
+  }
+
+  /**
+   * Where a node is in its tree, as the position of each node on the way down among its siblings (collapsed nodes
+   * included). Unlike a live node, a path can be written down, and followed again in a tree built somewhere else.
+   * @param {Object} node - dom-like node
+   * @return {Array} child indices from the root down to the node, empty for the root itself
+   */
+  function getTreePath(node) {
+    var path = [];
+    var parent;
+
+    for (; node.parentNode; node = parent) {
+      parent = node.parentNode;
+      path.unshift(
+        (parent.hiddenChildNodes || parent.childNodes).indexOf(node));
+    }
+
+    return path;
+  }
+
+  /**
+   * @param {Object} tree - dom-like tree
+   * @param {Array} path - child indices, see getTreePath
+   * @return {Object} the dom-like node at the end of the path, or null if the tree doesn't have one there
+   */
+  function getNodeAtTreePath(tree, path) {
+    return path.reduce(function(node, index) {
+      return node && (node.hiddenChildNodes || node.childNodes)[index] || null;
+    }, tree);
+  }
+
+  /**
+   * A viewer's state as a short string, made to fit in a URL hash, ie:
+   *
+   *  root=1.0.2&view=1.5,10,-20&collapsed=1.0,1.1.3&expanded=2.4
+   *
+   *  root - path of the node the tree is re-rooted at (see getTreePath), or nothing for the whole document
+   *  view - scale, x and y of the zoom and pan
+   *  collapsed, expanded - paths of the nodes collapsed or expanded by hand
+   *
+   * Every value is made of digits, dots, commas and minus signs, so the string never needs encoding.
+   *
+   * @param {Object} state - {root, view, collapsed, expanded}
+   * @return {String} view state
+   */
+  function formatViewState(state) {
+    var formatPaths = function(paths) {
+      return paths.map(function(path) {
+        return path.join('.');
+      }).join(',');
+    };
+
+    return [
+      'root=' + state.root.join('.'),
+      'view=' + [state.view.scale, state.view.x, state.view.y].map(
+        function(value) {
+          return Math.round(value * 1000) / 1000;
+        }).join(','),
+      'collapsed=' + formatPaths(state.collapsed),
+      'expanded=' + formatPaths(state.expanded)
+    ].join('&');
+  }
+
+  /**
+   * The reverse of formatViewState. A leading # is ignored, so location.hash can be passed straight in.
+   * @param {String} text - view state
+   * @return {Object} {root, view, collapsed, expanded}. view is null if the text didn't have one.
+   */
+  function parseViewState(text) {
+    var state = {root: [], view: null, collapsed: [], expanded: []};
+    var invalid = function() {
+      return new Error('Invalid view state: ' + text);
+    };
+
+    var parsePath = function(value) {
+      if (!/^(\d+(\.\d+)*)?$/.test(value)) {
+        throw invalid();
+      }
+      return value ? value.split('.').map(Number) : [];
+    };
+
+    var parsers = {
+      root: function(value) {
+        state.root = parsePath(value);
+      },
+      view: function(value) {
+        var numbers = value.split(',').map(Number);
+        if (numbers.length !== 3 || numbers.some(isNaN) || numbers[0] <= 0) {
+          throw invalid();
+        }
+        state.view = {scale: numbers[0], x: numbers[1], y: numbers[2]};
+      },
+      collapsed: function(value) {
+        state.collapsed = value ? value.split(',').map(parsePath) : [];
+      },
+      expanded: function(value) {
+        state.expanded = value ? value.split(',').map(parsePath) : [];
+      }
+    };
+
+    text.replace(/^#/, '').split('&').forEach(function(pair) {
+      var separator = pair.indexOf('=');
+      var name = pair.slice(0, separator);
+
+      if (!pair) {
+        return;
+      }
+      if (separator === -1 ||
+        !Object.prototype.hasOwnProperty.call(parsers, name)) {
+        throw invalid();
+      }
+      parsers[name](pair.slice(separator + 1));
+    });
+
+    return state;
+  }
+
+  /**
+   * A live node, followed by every node above it, the same way traverseDomNodes went down: through shadow roots to
+   * their hosts, and out of a frame's document to its <iframe>.
+   * @param {Node} liveNode - live node
+   * @return {Array} the live node and its ancestors, closest first
+   */
+  function getLiveAncestors(liveNode) {
+    var ancestors = [];
+    var node;
+
+    for (node = liveNode; node; node = node.parentNode || node.host ||
+      node.defaultView && node.defaultView.frameElement) {
+      ancestors.push(node);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * What a screen reader announces when a node gets keyboard focus, ie: DIV#main, depth 3, 4 children
+   * @param {Object} node - dom-like node
+   * @return {String} description of the node
+   */
+  function describeNode(node) {
+    var count = node.childElementCount;
+    return getNodeLabel(node) + ', depth ' + node.depth + ', ' + count +
+      (count === 1 ? ' child' : ' children');
+  }
+
+  /**
+   * Arrow keys move the keyboard focus using the same element links you would use to walk a real DOM.
+   */
+  var keyboardMoveMap = {
+    ArrowUp: 'parentNode',
+    ArrowDown: 'firstElementChild',
+    ArrowLeft: 'previousElementSibling',
+    ArrowRight: 'nextElementSibling'
+  };
+
+  /**
+   * Content that is on the page for screen readers only. It can't be display:none (screen readers skip that), so
+   * instead it's moved off screen.
+   */
+  var screenReaderOnlyCSSText = [
+    'position: absolute',
+    'left: -10000px',
+    'width: 1px',
+    'height: 1px',
+    'overflow: hidden'
+  ].join(';');
+
+  /**
+   * The computed styles the inspector shows. getComputedStyle() returns hundreds of properties, most of which are
+   * just their defaults, so we only pick out the ones that tell you the most about how an element is laid out.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/Window/getComputedStyle
+   */
+  var inspectedStyleProperties = [
+    'display',
+    'position',
+    'box-sizing',
+    'width',
+    'height',
+    'margin',
+    'padding',
+    'color',
+    'background-color',
+    'font-size',
+    'z-index'
+  ];
+
+  /**
+   * @param {Object} node - dom-like node
+   * @return {Number} how many nodes are below this one, at any depth, including the ones collapsed away
+   */
+  function countDescendants(node) {
+    return node.childNodes.reduce(function(count, child) {
+      return count + 1 + countDescendants(child);
+    }, node.collapsedCount || 0);
+  }
+
+  /**
+   * Whether a dom-like node still has the live node it was built from. Trees built from other dom-like trees (and
+   * snapshots) point __nodeRef at a dom-like node, or at nothing at all.
+   * @param {Object} node - dom-like node
+   * @return {Boolean} true if node.__nodeRef is a real node
+   */
+  function hasLiveNode(node) {
+    var nodeRef = node.__nodeRef;
+    return Boolean(nodeRef) && nodeRef !== node &&
+      typeof nodeRef.getBoundingClientRect === 'function';
+  }
+
+  /**
+   * Everything the inspector knows about a node. The attributes, classes, counts, depth and path come from the
+   * dom-like node, so they are always there. The bounding box and computed styles need the live node, so they are
+   * null for snapshots (and for text and comment nodes, which don't have a box of their own).
+   *
+   * @param {Object} node - dom-like node
+   * @return {Object} details about the node
+   */
+  function getNodeDetails(node) {
+    var attributes = node.attributes || {};
+    var element = node.tagName ? node : node.parentNode;
+    var details = {
+      label: getNodeLabel(node),
+      nodeName: node.nodeName,
+      depth: node.depth,
+      path: getNodePath(node),
+      selector: element ? getNodePath(element) : '',
+      attributes: Object.assign({}, attributes),
+      classes: (attributes.class || '').split(/\s+/).filter(Boolean),
+      childCount: node.childNodes.length,
+      descendantCount: countDescendants(node),
+      boundingBox: null,
+      computedStyles: null
+    };
+    var nodeRef = node.__nodeRef;
+    var rect;
+    var computed;
+
+    if (!hasLiveNode(node)) {
+      return details;
+    }
+
+    /**
+     * getBoundingClientRect() is relative to the viewport, so it changes as the page scrolls.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/API/Element/getBoundingClientRect
+     */
+    rect = nodeRef.getBoundingClientRect();
+    details.boundingBox = {
+      x: rect.left,
+      y: rect.top,
+      width: rect.width,
+      height: rect.height
+    };
+
+    computed = nodeRef.ownerDocument.defaultView.getComputedStyle(nodeRef);
+    details.computedStyles = {};
+    inspectedStyleProperties.forEach(function(property) {
+      details.computedStyles[property] = computed.getPropertyValue(property);
+    });
+
+    return details;
+  }
+
+  /**
+   * Copy some text to the clipboard. The Clipboard API is the modern way to do this, but it only exists on secure
+   * (https) pages, so otherwise we fall back to selecting the text in a hidden textarea and asking the document to
+   * copy the selection.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/writeText
+   *
+   * @param {Document} doc - document to put the textarea in
+   * @param {String} text - text to copy
+   */
+  function copyText(doc, text) {
+    var clipboard = doc.defaultView.navigator.clipboard;
+    var textarea;
+
+    if (clipboard && clipboard.writeText) {
+      clipboard.writeText(text);
+      return;
+    }
+
+    textarea = doc.createElement('textarea');
+    textarea.value = text;
+    textarea.style.cssText = screenReaderOnlyCSSText;
+    doc.body.appendChild(textarea);
+    textarea.select();
+    doc.execCommand('copy');
+    doc.body.removeChild(textarea);
+  }
+
+  /**
+   * Add a "name: value" row to the inspector.
+   * @param {Element} container - element the row goes into
+   * @param {String} name - what the row is about
+   * @param {String} value - what to show
+   */
+  function appendInspectorRow(container, name, value) {
+    var row = container.ownerDocument.createElement('div');
+    var nameSpan = container.ownerDocument.createElement('b');
+
+    nameSpan.textContent = name + ': ';
+    row.appendChild(nameSpan);
+    row.appendChild(container.ownerDocument.createTextNode(value));
+    container.appendChild(row);
+  }
+
+  /**
+   * Fill an element with the details of a node (see getNodeDetails), replacing whatever it showed before.
+   * Everything is set with textContent, never innerHTML, since attribute values come straight from the page.
+   *
+   * @param {Element} container - element to show the details in
+   * @param {Object} node - dom-like node, or null to empty the container
+   */
+  function renderInspector(container, node) {
+    var doc = container.ownerDocument;
+    var details;
+    var copyButton;
+    var box;
+
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    if (!node) {
+      return;
+    }
+
+    details = getNodeDetails(node);
+
+    appendInspectorRow(container, 'node', details.label);
+    appendInspectorRow(container, 'path', details.path);
+    appendInspectorRow(container, 'depth', String(details.depth));
+    appendInspectorRow(container, 'children', details.childCount + ' (' +
+      details.descendantCount + ' descendants)');
+
+    if (details.classes.length) {
+      appendInspectorRow(container, 'classes', details.classes.join(', '));
+    }
+
+    Object.keys(details.attributes).forEach(function(name) {
+      appendInspectorRow(container, '[' + name + ']', details.attributes[name]);
+    });
+
+    if (details.boundingBox) {
+      box = details.boundingBox;
+      appendInspectorRow(container, 'box', Math.round(box.width) + ' x ' +
+        Math.round(box.height) + ' at ' + Math.round(box.x) + ', ' +
+        Math.round(box.y));
+    }
+
+    if (details.computedStyles) {
+      Object.keys(details.computedStyles).forEach(function(property) {
+        appendInspectorRow(container, property,
+          details.computedStyles[property]);
+      });
+    }
+
+    if (details.selector) {
+      copyButton = doc.createElement('button');
+      copyButton.type = 'button';
+      copyButton.textContent = 'Copy selector';
+      copyButton.addEventListener('click', function() {
+        copyText(doc, details.selector);
+      });
+      container.appendChild(copyButton);
+    }
+  }
+
+  /**
+   * Fill an element with breadcrumbs: the path from the root of the document down to the node the tree is
+   * re-rooted at. Every crumb but the last one is a button that jumps back to it. Like the inspector, labels are
+   * set with textContent.
+   *
+   * @param {Element} container - element to show the breadcrumbs in
+   * @param {Array} crumbs - {label, node} for each node on the path, see the viewer's getBreadcrumbs
+   * @param {Function} onSelect - function(crumb) called when a crumb is clicked
+   */
+  function renderBreadcrumbs(container, crumbs, onSelect) {
+    var doc = container.ownerDocument;
+
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    crumbs.forEach(function(crumb, i) {
+      var item;
+
+      if (i > 0) {
+        container.appendChild(doc.createTextNode(' \u203a '));
+      }
+
+      if (i === crumbs.length - 1) {
+        item = doc.createElement('b');
+        item.setAttribute('aria-current', 'location');
+      } else {
+        item = doc.createElement('button');
+        item.type = 'button';
+        item.addEventListener('click', function() {
+          onSelect(crumb);
+        });
+      }
+
+      item.textContent = crumb.label;
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * How many of the biggest subtrees getTreeStats() reports.
+   */
+  var largestSubtreeCount = 10;
+
+  /**
+   * The numbers that tell you where a page's DOM size is going:
+   *
+   *  totalNodes - every node in the tree, including the ones collapsed away
+   *  tagCounts - how many nodes there are of each tag (and #text, #comment, #whitespace), ie: {DIV: 120, P: 40}
+   *  depthHistogram - how many nodes there are at each depth, ie: [1, 1, 2, 14, ...]
+   *  largestDepth - the deepest level, the same as the tree's own largestDepth if nothing is collapsed
+   *  maxFanOut - the most children any one node has
+   *  averageFanOut - the average number of children, among nodes that have any
+   *  largestSubtrees - the biggest subtrees below the root, biggest first, as {node, path, size} (see getNodePath)
+   *  ids, links, images, scripts, forms - how many of each the tree collected while it was being walked
+   *
+   * The stats describe the whole tree, collapsed nodes and all (see collapseNodes). A snapshot of a collapsed node
+   * only has its descendant count, so those descendants add to totalNodes, but nothing else.
+   *
+   * Document nodes (the root of a page's tree, and the documents of frames) hold the page rather than being part of
+   * it, so they aren't counted. Depths are still the nodes' own, so depth 0 of a whole page's histogram is empty.
+   *
+   * @param {Object} tree - dom-like tree (or node)
+   * @return {Object} stats
+   */
+  function getTreeStats(tree) {
+    var stats = {
+      totalNodes: 0,
+      tagCounts: {},
+      depthHistogram: [],
+      largestDepth: 0,
+      maxFanOut: 0,
+      averageFanOut: 0,
+      largestSubtrees: [],
+      ids: Object.keys(tree.ids || {}).length,
+      links: (tree.links || []).length,
+      images: (tree.images || []).length,
+      scripts: (tree.scripts || []).length,
+      forms: (tree.forms || []).length
+    };
+    var parentCount = 0;
+    var childCount = 0;
+    var subtrees = [];
+
+    /**
+     * Count a node and everything below it.
+     * @param {Object} node - dom-like node
+     * @param {Number} depth - depth of the node, counting from the node we started at
+     * @return {Number} size of the node's subtree, the node included
+     */
+    var countNode = function(node, depth) {
+      var children = node.hiddenChildNodes || node.childNodes;
+      var key = getNodeKey(node);
+      var isDocument = node.nodeType === DOCUMENT_NODE;
+      var size = isDocument ? 0 :
+        1 + (node.hiddenChildNodes ? 0 : node.collapsedCount || 0);
+
+      stats.depthHistogram[depth] = stats.depthHistogram[depth] || 0;
+      if (!isDocument) {
+        stats.totalNodes += size;
+        stats.tagCounts[key] = (stats.tagCounts[key] || 0) + 1;
+        stats.depthHistogram[depth]++;
+        stats.largestDepth = Math.max(stats.largestDepth, depth);
+      }
+
+      if (children.length && !isDocument) {
+        parentCount++;
+        childCount += children.length;
+        stats.maxFanOut = Math.max(stats.maxFanOut, children.length);
+      }
+
+      children.forEach(function(child) {
+        size += countNode(child, depth + 1);
+      });
+
+      if (depth && !isDocument) {
+        subtrees.push({node: node, size: size});
+      }
+      return size;
+    };
+
+    countNode(tree, 0);
+
+    stats.averageFanOut = parentCount ? childCount / parentCount : 0;
+    stats.largestSubtrees = subtrees.sort(function(a, b) {
+      return b.size - a.size;
+    }).slice(0, largestSubtreeCount).map(function(subtree) {
+      return {
+        node: subtree.node,
+        path: getNodePath(subtree.node),
+        size: subtree.size
+      };
+    });
+
+    return stats;
+  }
+
+  /**
+   * The heatmap option colors every node by one of these numbers, to make DOM-size hotspots stand out.
+   *
+   *  size - how many nodes are in the node's subtree (including the ones collapsed away)
+   *  fanOut - how many children the node has
+   *
+   * Each metric gets a measure(node) function too, which returns the (remembered) metric of another node, so the
+   * size of a subtree can be added up from the sizes of its children.
+   */
+  var heatmapMetrics = {
+    size: function(node, measure) {
+      return node.childNodes.reduce(function(size, child) {
+        return size + measure(child);
+      }, 1 + (node.collapsedCount || 0));
+    },
+    fanOut: function(node) {
+      return (node.hiddenChildNodes || node.childNodes).length;
+    }
+  };
+
+  /**
+   * Turn a value between 0 and 1 into a color, from a cool blue (0) to a hot red (1).
+   *
+   * HSL colors make this easy: the hue is an angle around the color wheel, and blue (240) to red (0) goes through
+   * cyan, green and yellow on the way. https://developer.mozilla.org/en-US/docs/Web/CSS/color_value/hsl
+   *
+   * @param {Number} heat - between 0 and 1
+   * @return {String} CSS color
+   */
+  function getHeatColor(heat) {
+    return 'hsl(' + Math.round(240 * (1 - heat)) + ', 80%, 50%)';
+  }
+
+  /**
+   * A style rule that colors every node by a heatmap metric, relative to the hottest node in its tree. A handful of
+   * huge subtrees would make everything else look the same, so the scale is logarithmic.
+   *
+   * Working out the metric for every node over and over would be slow, so the rule remembers every value (and the
+   * hottest value in each tree) it works out. A new rule is made every time a tree is drawn, so nothing is
+   * remembered from one drawing to the next.
+   *
+   * @param {String} metric - one of the heatmapMetrics
+   * @return {Array} style rules
+   */
+  function createHeatmapStyleRules(metric) {
+    var getValue = heatmapMetrics[metric];
+    var values = new Map();
+    var hottestValues = new Map();
+
+    var getCachedValue = function(node) {
+      if (!values.has(node)) {
+        values.set(node, getValue(node, getCachedValue));
+      }
+      return values.get(node);
+    };
+
+    var getHottestValue = function(node) {
+      var root = node;
+
+      while (root.parentNode) {
+        root = root.parentNode;
+      }
+
+      if (!hottestValues.has(root)) {
+        hottestValues.set(root, collectNodes(root, function() {
+          return true;
+        }, []).reduce(function(hottest, treeNode) {
+          return Math.max(hottest, getCachedValue(treeNode));
+        }, 0));
+      }
+      return hottestValues.get(root);
+    };
+
+    if (!getValue) {
+      return [];
+    }
+
+    return [{
+      fill: function(node) {
+        var hottest = getHottestValue(node);
+        var heat = hottest > 0 ?
+          Math.log(1 + getCachedValue(node)) / Math.log(1 + hottest) :
+          0;
+        return getHeatColor(heat);
+      }
+    }];
+  }
+
+  /**
+   * Lighthouse warns about pages with DOM nodes more than 32 levels deep, so we do too.
+   * https://developer.chrome.com/docs/lighthouse/performance/dom-size/
+   */
+  var defaultAuditMaxDepth = 32;
+
+  // Input types that are buttons (or aren't shown at all), so they don't need a label
+  var unlabeledInputTypes = {
+    button: true,
+    hidden: true,
+    image: true,
+    reset: true,
+    submit: true
+  };
+
+  /**
+   * @param {Object} node - dom-like node
+   * @return {String} the text inside the node. Without a live node, that's only what was walked (see the textNodes
+   * option).
+   */
+  function getTextContent(node) {
+    if (hasLiveNode(node)) {
+      return node.__nodeRef.textContent || '';
+    }
+
+    return (node.hiddenChildNodes || node.childNodes).map(function(child) {
+      return child.nodeType === TEXT_NODE ? child.nodeValue :
+        getTextContent(child);
+    }).join('');
+  }
+
+  /**
+   * @param {Object} node - dom-like node
+   * @param {Function} test - function(node) that returns true for the node we are looking for
+   * @return {Boolean} whether any node below this one passes the test, collapsed nodes included
+   */
+  function hasDescendant(node, test) {
+    return (node.hiddenChildNodes || node.childNodes).some(function(child) {
+      return test(child) || hasDescendant(child, test);
+    });
+  }
+
+  /**
+   * @param {Object} node - dom-like node
+   * @param {String} tagName - tag name we are looking for
+   * @return {Boolean} whether the node is inside an element with that tag
+   */
+  function hasAncestorTag(node, tagName) {
+    var ancestor;
+
+    for (ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+      if (ancestor.tagName === tagName) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {Object} node - dom-like node
+   * @return {Boolean} whether the node has a name of its own, for assistive technology
+   */
+  function hasAriaName(node) {
+    return ['aria-label', 'aria-labelledby', 'title'].some(function(name) {
+      return Boolean(node.attributes[name]);
+    });
+  }
+
+  /**
+   * Every audit rule is a function that looks at one node, and returns a message if something is wrong with it.
+   * The second argument is what the audit learned about the whole tree before it started (see auditTree):
+   *  scope - the document (or shadow root, or frame) the node belongs to, which is what ids are unique within
+   *  idCounts - Map of scope => {id: how many nodes have it}
+   *  labelledIds - Map of scope => {id: true} for every id a <label for> points at
+   *  hasText - whether the tree has any text nodes, which it doesn't when it was built without the textNodes option
+   *  maxDepth - how deep is too deep
+   */
+  var auditRuleMap = {
+    duplicateId: function(node, context) {
+      var count = node.id && context.idCounts.get(context.scope)[node.id];
+      return count > 1 ?
+        'The id "' + node.id + '" is used by ' + count + ' elements' :
+        null;
+    },
+    missingAlt: function(node) {
+      return node.tagName === 'IMG' && node.attributes.alt === undefined ?
+        'Image has no alt text' :
+        null;
+    },
+    missingHref: function(node) {
+      return node.tagName === 'A' && node.attributes.href === undefined ?
+        'Link has no href' :
+        null;
+    },
+    nestedForm: function(node) {
+      return node.tagName === 'FORM' && hasAncestorTag(node, 'FORM') ?
+        'Form is inside another form' :
+        null;
+    },
+    emptyButton: function(node, context) {
+      // Without a live node or any walked text, there's no telling whether the button has text, so we don't guess
+      if (node.tagName !== 'BUTTON' || !hasLiveNode(node) && !context.hasText ||
+        hasAriaName(node) || /\S/.test(getTextContent(node))) {
+        return null;
+      }
+
+      // An icon button is fine, as long as its image says what it does
+      return hasDescendant(node, function(child) {
+        return child.tagName === 'IMG' && Boolean(child.attributes.alt);
+      }) ? null : 'Button has no text';
+    },
+    unlabeledField: function(node, context) {
+      var isField = node.tagName === 'SELECT' || node.tagName === 'TEXTAREA' ||
+        node.tagName === 'INPUT' &&
+        !unlabeledInputTypes[String(node.attributes.type).toLowerCase()];
+
+      if (!isField || hasAriaName(node) || hasAncestorTag(node, 'LABEL') ||
+        node.id && context.labelledIds.get(context.scope)[node.id]) {
+        return null;
+      }
+
+      return 'Form field has no label';
+    },
+    excessiveDepth: function(node, context) {
+      // Only the first node that's too deep is flagged, not everything below it
+      return node.depth === context.maxDepth + 1 ?
+        'Nested more than ' + context.maxDepth + ' levels deep' :
+        null;
+    },
+    inlineEventHandler: function(node) {
+      var handlers = Object.keys(node.attributes || {}).filter(function(name) {
+        return /^on/i.test(name);
+      });
+
+      return handlers.length ?
+        'Inline event handler: ' + handlers.join(', ') :
+        null;
+    }
+  };
+
+  /**
+   * Ids only have to be unique within a document, and a shadow root or a frame is a document of its own, so a
+   * node's scope is the closest of those above it (or the root of the tree).
+   * @param {Object} node - dom-like node
+   * @param {Object} scope - the parent node's scope
+   * @return {Object} the node's scope
+   */
+  function getAuditScope(node, scope) {
+    return !scope || node.boundary === 'shadow' || node.boundary === 'iframe' ?
+      node :
+      scope;
+  }
+
+  /**
+   * Walk a dom-like tree (or a snapshot, or a tree from parseHTML) and look for problems in its markup. The walk
+   * includes the nodes hidden in collapsed nodes.
+   *
+   * Each finding is {rule, message, node, path}, in document order. rule is one of the auditRuleMap keys, and path
+   * is the node's CSS-like path (see getNodePath), so the findings can be reported (or fail a build) without the
+   * tree:
+   *
+   *  var findings = domToCanvas.auditTree(domToCanvas.parseHTML(html, {textNodes: true}));
+   *  if (findings.length) {
+   *    findings.forEach(function(finding) { console.error(finding.path + ': ' + finding.message); });
+   *    process.exit(1);
+   *  }
+   *
+   * Options:
+   *  rules - names of the rules to run (default all of them)
+   *  maxDepth - how deep a node can be before excessiveDepth flags it (default 32)
+   *
+   * Without live nodes, emptyButton can only see the text that was walked, so turn on the textNodes option when
+   * building trees from snapshots or markup. On a tree without live nodes or text nodes, emptyButton finds nothing.
+   *
+   * The path of an element whose id isn't unique uses :nth-child() instead of the id, so that findings like
+   * duplicateId point at different elements.
+   *
+   * @param {Object} tree - dom-like tree
+   * @param {Object} [options] - audit options
+   * @return {Array} findings
+   */
+  function auditTree(tree, options) {
+    var findings = [];
+    var context = {
+      scope: null,
+      idCounts: new Map(),
+      labelledIds: new Map(),
+      hasText: false,
+      maxDepth: defaultAuditMaxDepth
+    };
+    var scopes = new Map();
+    var ruleNames;
+
+    options = options || {};
+    ruleNames = options.rules || Object.keys(auditRuleMap);
+    if (options.maxDepth !== undefined) {
+      context.maxDepth = options.maxDepth;
+    }
+
+    // First, count the ids and find the labels in every scope
+    var collectIds = function(node, scope) {
+      scope = getAuditScope(node, scope);
+      scopes.set(node, scope);
+      if (node.nodeType === TEXT_NODE) {
+        context.hasText = true;
+      }
+      if (!context.idCounts.has(scope)) {
+        context.idCounts.set(scope, {});
+        context.labelledIds.set(scope, {});
+      }
+
+      if (node.id) {
+        context.idCounts.get(scope)[node.id] =
+          (context.idCounts.get(scope)[node.id] || 0) + 1;
+      }
+      if (node.tagName === 'LABEL' && node.attributes.for) {
+        context.labelledIds.get(scope)[node.attributes.for] = true;
+      }
+
+      (node.hiddenChildNodes || node.childNodes).forEach(function(child) {
+        collectIds(child, scope);
+      });
+    };
+
+    var isUniqueId = function(node) {
+      return context.idCounts.get(scopes.get(node))[node.id] === 1;
+    };
+
+    // Then run every rule on every element
+    var checkNode = function(node, scope) {
+      scope = getAuditScope(node, scope);
+
+      if (node.nodeType === ELEMENT_NODE) {
+        context.scope = scope;
+        ruleNames.forEach(function(rule) {
+          var message = auditRuleMap[rule](node, context);
+          if (message) {
+            findings.push({
+              rule: rule,
+              message: message,
+              node: node,
+              path: getNodePath(node, isUniqueId)
+            });
+          }
+        });
+      }
+
+      (node.hiddenChildNodes || node.childNodes).forEach(function(child) {
+        checkNode(child, scope);
+      });
+    };
+
+    collectIds(tree, null);
+    checkNode(tree, null);
+    return findings;
+  }
+
+  /**
+   * In audit mode, nodes with findings get a warning ring. Like the heatmap rule, a new rule is made every time a
+   * tree is drawn, and it audits each tree it sees once.
+   * @param {Object} options - audit options, see auditTree
+   * @return {Object} style rule
+   */
+  function createAuditStyleRule(options) {
+    var flaggedNodes = new Map();
+
+    var getFlaggedNodes = function(node) {
+      var root = node;
+
+      while (root.parentNode) {
+        root = root.parentNode;
+      }
+
+      if (!flaggedNodes.has(root)) {
+        flaggedNodes.set(root, new Set(auditTree(root, options).map(
+          function(finding) {
+            return finding.node;
+          })));
+      }
+      return flaggedNodes.get(root);
+    };
+
+    return {
+      match: function(node) {
+        return getFlaggedNodes(node).has(node);
+      },
+      stroke: '#FF4136',
+      radius: 7
+    };
+  }
+
+  /**
+   * With the labels option set to false, only the labels that are always shown (nodesWithVisibleTags, and the far
+   * side of a boundary) are drawn, instead of every label that fits (see placeLabels).
+   */
+  var fewerLabelsStyleRule = {
+    showLabel: function(node) {
+      return Boolean(nodesWithVisibleTags[node.tagName]);
+    }
+  };
+
+  /**
+   * The style rules used to draw a tree. Boundaries are always marked, and diff and heatmap modes add their own
+   * rules, all in front of the custom ones. The audit ring goes last, so nothing can hide it. Turning labels off
+   * goes first of all, so boundaries and custom rules can still label whatever they like.
+   * @param {Object} options - drawing options
+   * @return {Array} style rules
+   */
+  function getStyleRules(options) {
+    var styles = options.styles || [];
+    var auditOptions = options.audit === true ? {} : options.audit;
+
+    return (options.labels === false ? [fewerLabelsStyleRule] : []).concat(
+      boundaryStyleRules, options.diff ? diffStyleRules : [],
+      options.heatmap ? createHeatmapStyleRules(options.heatmap) : [],
+      styles, auditOptions ? createAuditStyleRule(auditOptions) : []);
+  }
+
+  /**
+   * The layouts don't draw onto a canvas directly. Instead, they hand a renderer a handful of drawing primitives,
+   * and the renderer decides what drawing means. That way the same layout code can paint a canvas, or just write
+   * down what it was asked to draw (see createRecordingRenderer), which is very handy in tests.
+   *
+   * Every renderer has these functions, with the arguments listed here. Points are {x, y}, in tree space (the
+   * view decides where that ends up on screen), and angles are in radians.
+   *
+   *  background - fill the whole drawing area with a color, ignoring the view
+   *  erase - erase the whole drawing area, leaving it transparent
+   *  view - scale and offset everything drawn after it: screen = tree * scale + offset
+   *  edge - a straight line, dashed if dash is a non-empty dash pattern
+   *  arcEdge - part of a circle around center, drawn clockwise from fromAngle to toAngle
+   *  node - a node's shape (one of the nodeShapeMap keys) at position, with the fill, stroke and radius of style
+   *  slice - the part of the ring between inner and outer that goes from fromAngle to toAngle (a disc if inner is 0)
+   *  label - a line of text, starting at position
+   *  backArrow - the arrow in the top-left corner, for going back up the stack of re-rooted trees
+   *  resetButton - the box in the top-right corner that resets the view, right being the right edge
+   */
+  var rendererPrimitives = {
+    background: ['width', 'height', 'color'],
+    erase: ['width', 'height'],
+    view: ['scale', 'x', 'y'],
+    edge: ['from', 'to', 'color', 'dash'],
+    arcEdge: ['center', 'radius', 'fromAngle', 'toAngle', 'color'],
+    node: ['position', 'shape', 'style'],
+    slice: ['center', 'inner', 'outer', 'fromAngle', 'toAngle', 'style'],
+    label: ['text', 'position', 'color'],
+    backArrow: [],
+    resetButton: ['right']
+  };
+
+  /**
+   * A renderer that draws onto a CanvasRenderingContext2D (or anything shaped like one).
+   *
+   * Every primitive starts a new path, and puts the stroke color back to edgeColor when it's done, so no primitive
+   * depends on what the one before it left behind.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D
+   *
+   * @param {CanvasRenderingContext2D} ctx - ctx for rendering a canvas
+   * @return {Object} renderer, see rendererPrimitives
+   */
+  function createCanvasRenderer(ctx) {
+    return {
+      background: function(width, height, color) {
+        if (ctx.clearRect) {
+          ctx.clearRect(0, 0, width, height);
+        }
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+      },
+      erase: function(width, height) {
+        ctx.clearRect(0, 0, width, height);
+      },
+      view: function(scale, x, y) {
+        if (ctx.setTransform) {
+          ctx.setTransform(scale, 0, 0, scale, x, y);
+        }
+      },
+      edge: function(from, to, color, dash) {
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        setLineDash(ctx, dash || []);
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.closePath();
+        ctx.strokeStyle = edgeColor;
+        setLineDash(ctx, []);
+      },
+      arcEdge: function(center, radius, fromAngle, toAngle, color) {
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.arc(center.x, center.y, radius, fromAngle, toAngle, false);
+        ctx.stroke();
+        ctx.strokeStyle = edgeColor;
+      },
+      node: function(position, shape, style) {
+        ctx.beginPath();
+        ctx.fillStyle = style.fill;
+        (nodeShapeMap[shape] || nodeShapeMap.default)(ctx, position.x,
+          position.y, style.radius);
+        ctx.fill();
+
+        if (style.stroke) {
+          ctx.strokeStyle = style.stroke;
+          ctx.stroke();
+          ctx.strokeStyle = edgeColor;
+        }
+      },
+      // A slice is two arcs: out along the outer edge, and back along the inner one. Drawing the second arc
+      // counterclockwise (the last argument) is what joins them up into one shape.
+      slice: function(center, inner, outer, fromAngle, toAngle, style) {
+        ctx.beginPath();
+        if (inner) {
+          ctx.arc(center.x, center.y, outer, fromAngle, toAngle, false);
+          ctx.arc(center.x, center.y, inner, toAngle, fromAngle, true);
+        } else {
+          ctx.arc(center.x, center.y, outer, startAngle, endAngle, false);
+        }
+        ctx.closePath();
+
+        ctx.fillStyle = style.fill;
+        ctx.fill();
+        if (style.stroke) {
+          ctx.strokeStyle = style.stroke;
+          ctx.stroke();
+          ctx.strokeStyle = edgeColor;
+        }
+      },
+      label: function(text, position, color) {
+        ctx.fillStyle = color;
+        ctx.fillText(text, position.x, position.y);
+      },
+      backArrow: function() {
+        ctx.fillStyle = '#000';
+        ctx.beginPath();
+        ctx.moveTo(10, 10);
+        ctx.lineTo(20, 5);
+        ctx.lineTo(20, 15);
+        ctx.fill();
+      },
+      resetButton: function(right) {
+        ctx.strokeStyle = '#000';
+        ctx.strokeRect(right - 17, 5, 10, 10);
+        ctx.strokeRect(right - 14, 8, 4, 4);
+        ctx.strokeStyle = edgeColor;
+      }
+    };
+  }
+
+  /**
+   * Copy a primitive's argument, so a recorded operation doesn't change when the object it was given does.
+   * @param {*} value - argument given to a primitive
+   * @return {*} a copy of arrays and objects, or the value itself
+   */
+  function copyRecordedValue(value) {
+    if (Array.isArray(value)) {
+      return value.slice();
+    }
+    return value && typeof value === 'object' ?
+      Object.assign({}, value) :
+      value;
+  }
+
+  /**
+   * A renderer that doesn't draw anything. Instead, it writes every primitive it's asked to draw into its
+   * operations array as plain data, like {type: 'edge', from: {x, y}, to: {x, y}, color: '#ccc', dash: []}. The
+   * operations can be compared against a saved snapshot (JSON.stringify works on them), or turned into some other
+   * kind of output.
+   *
+   *  var renderer = domToCanvas.createRecordingRenderer();
+   *  domToCanvas.drawTree(renderer, domToCanvas.parseHTML('<p>Hi</p>'), {height: 100});
+   *  renderer.operations.filter(function(op) { return op.type === 'node'; }).length; // 5
+   *
+   * @return {Object} renderer, see rendererPrimitives, with operations and clear()
+   */
+  function createRecordingRenderer() {
+    var renderer = {
+      operations: [],
+      clear: function() {
+        renderer.operations = [];
+      }
+    };
+
+    Object.keys(rendererPrimitives).forEach(function(type) {
+      var argumentNames = rendererPrimitives[type];
+
+      renderer[type] = function() {
+        var values = arguments;
+        var operation = {type: type};
+
+        argumentNames.forEach(function(name, i) {
+          operation[name] = copyRecordedValue(values[i]);
+        });
+        renderer.operations.push(operation);
+      };
+    });
+
+    return renderer;
+  }
+
+  /**
+   * Whether something is a renderer, rather than a 2D context we still need to wrap in one.
+   * @param {Object} target - renderer or CanvasRenderingContext2D
+   * @return {Boolean} true if target has every primitive
+   */
+  function isRenderer(target) {
+    return Object.keys(rendererPrimitives).every(function(type) {
+      return typeof target[type] === 'function';
+    });
+  }
+
+  /**
+   * The horizontal range of a tree (see layoutNodes) is all the layouts need to place its nodes.
+   *
+   *  layered - the root at the top, and each level of depth a row below it. A node sits at the center of its range.
+   *  radial - the root in the middle, and each level of depth a circle around it. The range wraps around the
+   *    circle, so a node sits at the angle of the center of its range. Wide levels get a whole circumference to
+   *    spread out over, instead of just the width of the canvas.
+   *  sunburst - like radial, but instead of a dot, each node is a slice of a ring, as wide as its whole range.
+   *    There's nothing between the nodes, so no edges are drawn.
+   *
+   * Each layout can:
+   *  draw(renderer, tree, geometry, rules) - draw a whole tree, see rendererPrimitives
+   *  getPosition(node, geometry) - where a node (and its label) is drawn
+   *  toRange(x, y, geometry) - turn a point into a spot in the tree's range, to find which child it falls under
+   *  isInNode(node, x, y, geometry, nodeRadius) - whether a point is on a node
+   *
+   *  drawBadge(renderer, node, geometry) - draw the badge that stands in for a collapsed node's descendants
+   *  labelOffsets - where a label can go relative to its node, in order of preference (see labelOffsetMap)
+   *
+   * The node-link layouts (layered and radial) also have drawSiblingLine(renderer, firstChild, lastChild, geometry).
+   */
+  // The height of a label's text, for the default 10px font
+  var labelHeight = 10;
+
+  /**
+   * A label starts out on the top right of its node, where labels have always gone. If another label is already
+   * there, it tries the other corners. In a sunburst, the label is centered on its slice, since there's nowhere
+   * else that would make it clear which slice it belongs to.
+   *
+   * Each offset is a function(width) that returns where the label's text starts (its left end, on the baseline)
+   * relative to the node, for a label that is width pixels wide.
+   */
+  var labelOffsetMap = {
+    dot: [function() {
+      return {x: 5, y: -5};
+    }, function() {
+      return {x: 5, y: labelHeight + 5};
+    }, function(width) {
+      return {x: -5 - width, y: -5};
+    }, function(width) {
+      return {x: -5 - width, y: labelHeight + 5};
+    }],
+    slice: [function(width) {
+      return {x: -width / 2, y: labelHeight / 2};
+    }]
+  };
+
+  var layoutModes = {
+    layered: {
+      draw: drawNodes,
+      labelOffsets: labelOffsetMap.dot,
+      getPosition: function(node, geometry) {
+        return getNodePosition(node, geometry.cellHeight);
+      },
+      toRange: function(x) {
+        return x;
+      },
+      isInNode: isOnNodeShape,
+      drawBadge: drawCollapsedBadge,
+      drawSiblingLine: function(renderer, firstChild, lastChild, geometry) {
+        renderer.edge(getNodePosition(firstChild, geometry.cellHeight),
+          getNodePosition(lastChild, geometry.cellHeight), edgeColor, []);
+      }
+    },
+    radial: {
+      draw: drawNodes,
+      labelOffsets: labelOffsetMap.dot,
+      getPosition: function(node, geometry) {
+        return fromPolar(getRangeAngle(getRangeCenter(node), geometry),
+          node.depth * geometry.ringWidth, geometry);
+      },
+      toRange: function(x, y, geometry) {
+        return toPolar(x, y, geometry).range;
+      },
+      isInNode: isOnNodeShape,
+      drawBadge: drawCollapsedBadge,
+      // Siblings all sit on the same circle, so the line between them is an arc of that circle
+      drawSiblingLine: function(renderer, firstChild, lastChild, geometry) {
+        renderer.arcEdge({x: geometry.centerX, y: geometry.centerY},
+          firstChild.depth * geometry.ringWidth,
+          getRangeAngle(getRangeCenter(firstChild), geometry),
+          getRangeAngle(getRangeCenter(lastChild), geometry), edgeColor);
+      }
+    },
+    sunburst: {
+      draw: drawSunburstNodes,
+      labelOffsets: labelOffsetMap.slice,
+      getPosition: function(node, geometry) {
+        // The root is a whole disc, so its label goes in the middle
+        var distance = node.depth ? (node.depth + 0.5) * geometry.ringWidth : 0;
+        return fromPolar(getRangeAngle(getRangeCenter(node), geometry),
+          distance, geometry);
+      },
+      toRange: function(x, y, geometry) {
+        return toPolar(x, y, geometry).range;
+      },
+      isInNode: function(node, x, y, geometry) {
+        var point = toPolar(x, y, geometry);
+        return Math.floor(point.distance / geometry.ringWidth) === node.depth &&
+          point.range >= node.start && point.range <= node.end;
+      },
+      drawBadge: function(renderer, node, geometry) {
+        var badge = getBadgeNode(node);
+
+        drawRingSlice(renderer, badge, geometry, {
+          fill: '#EEE',
+          stroke: '#fff'
+        });
+        renderer.label('+' + node.collapsedCount,
+          layoutModes.sunburst.getPosition(badge, geometry), '#000');
+      }
+    }
+  };
+
+  /**
+   * Set the dash pattern of the lines we draw next. Not every 2D context has setLineDash (older browsers, and some
+   * of the canvas libraries for Node), and a solid line is a fine fallback.
+   * @param {CanvasRenderingContext2D} ctx - ctx for rendering a canvas
+   * @param {Array} segments - dash pattern, [] for a solid line
+   */
+  function setLineDash(ctx, segments) {
+    if (ctx.setLineDash) {
+      ctx.setLineDash(segments);
+    }
+  }
+
+  /**
+   * A collapsed node's badge goes where its children would have been: one level down, in the middle of its range.
+   * @param {Object} node - collapsed dom-like node
+   * @return {Object} the range and depth of the badge
+   */
+  function getBadgeNode(node) {
+    return {start: node.start, end: node.end, depth: node.depth + 1};
+  }
+
+  /**
+   * In the node-link layouts, a collapsed node gets a dashed line down to a small triangle (like the arrow next to
+   * a closed folder), along with the number of descendants it's hiding.
+   * @param {Object} renderer - see rendererPrimitives
+   * @param {Object} node - collapsed dom-like node
+   * @param {Object} geometry - see getLayoutGeometry
+   */
+  function drawCollapsedBadge(renderer, node, geometry) {
+    var layout = layoutModes[geometry.layout];
+    var from = layout.getPosition(node, geometry);
+    var to = layout.getPosition(getBadgeNode(node), geometry);
+
+    renderer.edge(from, to, edgeColor, [2, 2]);
+    renderer.node(to, '#collapsed', {fill: '#999', radius: radius});
+    renderer.label('+' + node.collapsedCount,
+      {x: to.x + radius + 2, y: to.y + 3}, '#000');
+  }
+
+  /**
+   * Draw the slice of a ring that a node takes up in the sunburst layout. The root is a whole disc.
+   * @param {Object} renderer - see rendererPrimitives
+   * @param {Object} node - dom-like node (or anything with a start, end and depth)
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Object} style - fill and stroke of the slice
+   */
+  function drawRingSlice(renderer, node, geometry, style) {
+    var inner = node.depth * geometry.ringWidth;
+
+    renderer.slice({x: geometry.centerX, y: geometry.centerY}, inner,
+      inner + geometry.ringWidth, getRangeAngle(node.start, geometry),
+      getRangeAngle(node.end, geometry), style);
+  }
+
+  /**
+   * @param {Object} node - dom-like node
+   * @return {Number} the center of the node's range
+   */
+  function getRangeCenter(node) {
+    return node.start + (node.end - node.start) / 2;
+  }
+
+  /**
+   * Everything a layout needs to know to turn a node's range and depth into a spot on the canvas.
+   * @param {Object} tree - dom-like tree
+   * @param {Number} width - width of the canvas
+   * @param {Number} height - height of the canvas
+   * @param {String} [layout] - one of the layoutModes, layered by default
+   * @return {Object} geometry
+   */
+  function getLayoutGeometry(tree, width, height, layout) {
+    var levels = tree.largestDepth + 1;
+
+    return {
+      layout: layoutModes[layout] ? layout : 'layered',
+      cellHeight: height / levels, // height of each row, for layered
+      centerX: width / 2,
+      centerY: height / 2,
+      ringWidth: (Math.min(width, height) / 2 - 10) / levels, // for radial and sunburst
+      start: tree.start,
+      end: tree.end
+    };
+  }
+
+  /**
+   * Polar coordinates describe a point by its angle and its distance from a center, which is a much easier way to
+   * think about circles than x and y. The angle of a spot in the range goes clockwise from 12 o'clock.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/arc
+   *
+   * @param {Number} range - a spot in the tree's range
+   * @param {Object} geometry - see getLayoutGeometry
+   * @return {Number} angle in radians
+   */
+  function getRangeAngle(range, geometry) {
+    return (range - geometry.start) / (geometry.end - geometry.start) *
+      endAngle - Math.PI / 2;
+  }
+
+  /**
+   * @param {Number} angle - angle in radians
+   * @param {Number} distance - distance from the center
+   * @param {Object} geometry - see getLayoutGeometry
+   * @return {Object} x and y coordinates
+   */
+  function fromPolar(angle, distance, geometry) {
+    return {
+      x: geometry.centerX + Math.cos(angle) * distance,
+      y: geometry.centerY + Math.sin(angle) * distance
+    };
+  }
+
+  /**
+   * The reverse of fromPolar and getRangeAngle: which spot in the range a point is at, and how far out it is.
+   * Math.atan2 gives an angle between -PI and PI, starting at 3 o'clock, so we turn it back to 12 o'clock first.
+   * @param {Number} x - x-coordinate
+   * @param {Number} y - y-coordinate
+   * @param {Object} geometry - see getLayoutGeometry
+   * @return {Object} range and distance
+   */
+  function toPolar(x, y, geometry) {
+    var dx = x - geometry.centerX;
+    var dy = y - geometry.centerY;
+    var angle = (Math.atan2(dy, dx) + Math.PI / 2 + endAngle) % endAngle;
+
+    return {
+      range: geometry.start +
+        angle / endAngle * (geometry.end - geometry.start),
+      distance: Math.sqrt(dx * dx + dy * dy)
+    };
+  }
+
+  /**
+   * Whether a point is within a node's shape, for the layouts that draw each node as a dot.
+   * @param {Object} node - dom-like node
+   * @param {Number} x - x-coordinate
+   * @param {Number} y - y-coordinate
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Number} nodeRadius - the node's size
+   * @return {Boolean} true if the point is on the node
+   */
+  function isOnNodeShape(node, x, y, geometry, nodeRadius) {
+    var position = layoutModes[geometry.layout].getPosition(node, geometry);
+    return Math.abs(x - position.x) <= nodeRadius &&
+      Math.abs(y - position.y) <= nodeRadius;
+  }
+
+  /**
+   * Draw a tree as a sunburst: every node is a slice of the ring at its depth, and its children's slices sit
+   * in the ring just outside of it. Custom styles work the same way they do for dots, with stroke as the outline.
+   * Labels are drawn afterwards (see drawLabels), so the next ring never covers them up.
+   * @param {Object} renderer - see rendererPrimitives
+   * @param {Object} node - Node that we are drawing
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Array} rules - style rules, see getNodeStyle
+   */
+  function drawSunburstNodes(renderer, node, geometry, rules) {
+    var style = getNodeStyle(node, rules);
+
+    drawRingSlice(renderer, node, geometry, {
+      fill: style.fill,
+      stroke: style.stroke || '#fff'
+    });
+
+    node.childNodes.forEach(function(child) {
+      drawSunburstNodes(renderer, child, geometry, rules);
+    });
+
+    if (node.collapsedCount) {
+      layoutModes.sunburst.drawBadge(renderer, node, geometry);
+    }
+  }
+
+  /**
+   * Recursively travel down the dom-like tree, rendering each node as we go. This is how the node-link layouts
+   * (layered and radial) are drawn; the layout decides where each node goes. The labels are left for drawLabels,
+   * which places them all at once.
+   * @param {Object} renderer - see rendererPrimitives
+   * @param {Element} node - Node that we are drawing
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Array} rules - style rules, see getNodeStyle
+   */
+  function drawNodes(renderer, node, geometry, rules) {
+    var layout = layoutModes[geometry.layout];
+    var nodeKey = getNodeKey(node);
+    var style = getNodeStyle(node, rules);
+    var position = layout.getPosition(node, geometry);
+
+    var firstChild = node.firstChild;
+    var lastChild = node.lastChild;
+
+    /**
+     * Drawing the lines between sibling nodes.
+     * For us, that just means draw a line from the first to last child nodes.
+     */
+    if (firstChild && firstChild !== lastChild) {
+      layout.drawSiblingLine(renderer, firstChild, lastChild, geometry);
+    }
+
+    /**
+     * Important Note: We recreated the dom using objects and arrays.
+     * Element.children actually returns a live HTMLCollection, which does not have access to
+     * array functions like forEach, map, reduce, etc.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/API/ParentNode/children
+     *
+     * childNodes holds every node we walked (elements, plus text and comment nodes if those options are on).
+     */
+    node.childNodes.forEach(function(child) {
+      // Draw a line from our current node, to each of its children, in the color the child's style asks for
+      var childStyle = getNodeStyle(child, rules);
+
+      renderer.edge(position, layout.getPosition(child, geometry),
+        childStyle.edge, childStyle.edgeDash || []);
+
+      drawNodes(renderer, child, geometry, rules);
+    });
+
+    if (node.collapsedCount) {
+      layout.drawBadge(renderer, node, geometry);
+    }
+
+    renderer.node(position, nodeShapeMap[nodeKey] ? nodeKey : 'default', {
+      fill: style.fill,
+      stroke: style.stroke,
+      radius: style.radius
+    });
+  }
+
+  /**
+   * We can't measure text without a real canvas (renderers don't have to have one), so labels are measured the
+   * way the default 10px sans-serif font averages out: about 6 pixels a character. Anything longer than
+   * maxLabelLength is cut short, so one long list of classes can't crowd out the labels around it.
+   *
+   * Placed labels are kept in a grid of labelCellSize squares, so checking a label for overlaps only means looking
+   * at the few labels in the cells it covers, not every label placed so far.
+   */
+  var labelCharWidth = 6;
+  var maxLabelLength = 24;
+  var labelCellSize = 64;
+
+  /**
+   * @param {String} text - label text
+   * @return {String} the text, cut short with an ellipsis if it's longer than maxLabelLength
+   */
+  function truncateLabel(text) {
+    return text.length > maxLabelLength ?
+      text.slice(0, maxLabelLength - 1) + '\u2026' : text;
+  }
+
+  /**
+   * Where a label goes for one of its offsets, moved back inside the drawing area if it would stick out of it.
+   * @param {Object} anchor - the node's position on screen
+   * @param {Object} offset - where the text starts, relative to the node (see labelOffsetMap)
+   * @param {Number} width - width of the label
+   * @param {Object} bounds - width and height of the drawing area
+   * @return {Object} box with left, top, right and bottom, the x and y the text starts at, and whether it was moved
+   */
+  function getLabelBox(anchor, offset, width, bounds) {
+    var x = Math.max(0, Math.min(anchor.x + offset.x, bounds.width - width));
+    var y = Math.max(labelHeight,
+      Math.min(anchor.y + offset.y, bounds.height - 2));
+
+    return {
+      x: x,
+      y: y,
+      left: x - 1,
+      top: y - labelHeight,
+      right: x + width + 1,
+      bottom: y + 2,
+      moved: x !== anchor.x + offset.x || y !== anchor.y + offset.y
+    };
+  }
+
+  /**
+   * Keep track of the labels placed so far, and find room for the next one.
+   *
+   * place() tries each of the offsets in turn, and takes the first one that doesn't overlap a label that's already
+   * there. Offsets that had to be moved inside the drawing area come last, since moving a label can put it on top of
+   * its own node. If none of them fit, the label is left out, unless it has to be shown, in which case it goes at
+   * the first offset anyway.
+   *
+   * @param {Object} bounds - width and height of the drawing area
+   * @return {Object} placer with place(anchor, width, offsets, force), which returns the label's box or null
+   */
+  function createLabelPlacer(bounds) {
+    var cells = new Map();
+
+    // Every grid cell a box touches, as 'column,row' keys
+    var getCellKeys = function(box) {
+      var keys = [];
+      var column;
+      var row;
+
+      for (column = Math.floor(box.left / labelCellSize);
+        column <= Math.floor(box.right / labelCellSize); column++) {
+        for (row = Math.floor(box.top / labelCellSize);
+          row <= Math.floor(box.bottom / labelCellSize); row++) {
+          keys.push(column + ',' + row);
+        }
+      }
+      return keys;
+    };
+
+    var isFree = function(box) {
+      return getCellKeys(box).every(function(key) {
+        return (cells.get(key) || []).every(function(placed) {
+          return box.right <= placed.left || box.left >= placed.right ||
+            box.bottom <= placed.top || box.top >= placed.bottom;
+        });
+      });
+    };
+
+    return {
+      place: function(anchor, width, offsets, force) {
+        var boxes = offsets.map(function(offset) {
+          return getLabelBox(anchor, offset(width), width, bounds);
+        });
+        var free = boxes.filter(isFree);
+        var box = free.filter(function(candidate) {
+          return !candidate.moved;
+        })[0] || free[0] || (force ? boxes[0] : null);
+
+        if (box) {
+          getCellKeys(box).forEach(function(key) {
+            cells.set(key, (cells.get(key) || []).concat(box));
+          });
+        }
+        return box;
+      }
+    };
+  }
+
+  /**
+   * Find room for as many labels as will fit without overlapping each other.
+   *
+   * Labels are placed on the screen, not in the tree: their text stays the same size however far the view is
+   * zoomed in, while the nodes spread further apart. So zooming into a subtree makes room for more of its labels.
+   * Nodes that are off screen aren't labeled at all, and labels near an edge are moved back inside it.
+   *
+   * Labels that have to be shown (showLabel is true) go first, and then the rest of them from the root down, so
+   * when two labels want the same spot, the one closer to the root wins.
+   *
+   * @param {Object} tree - dom-like tree (or node) that was drawn
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Array} rules - style rules, see getNodeStyle
+   * @param {Object} frame - the view the tree was drawn with (scale, x and y), and the width and height of the
+   *   drawing area
+   * @return {Map} the text of each label that fit, and where it starts on screen (x and y), by dom-like node
+   */
+  function placeLabels(tree, geometry, rules, frame) {
+    var layout = layoutModes[geometry.layout];
+    var placer = createLabelPlacer(frame);
+    var candidates = [];
+    var labels = new Map();
+
+    collectNodes(tree, function() {
+      return true;
+    }, []).forEach(function(node, order) {
+      var style = getNodeStyle(node, rules);
+      var position;
+      var anchor;
+
+      if (!style.showLabel || style.label === null ||
+        style.label === undefined || style.label === '') {
+        return;
+      }
+
+      position = layout.getPosition(node, geometry);
+      anchor = {
+        x: position.x * frame.scale + frame.x,
+        y: position.y * frame.scale + frame.y
+      };
+
+      if (anchor.x >= 0 && anchor.x <= frame.width &&
+        anchor.y >= 0 && anchor.y <= frame.height) {
+        candidates.push({
+          node: node,
+          text: truncateLabel(String(style.label)),
+          anchor: anchor,
+          force: style.showLabel === true,
+          depth: node.depth || 0,
+          order: order
+        });
+      }
+    });
+
+    candidates.sort(function(a, b) {
+      return (b.force - a.force) || (a.depth - b.depth) || (a.order - b.order);
+    }).forEach(function(candidate) {
+      var box = placer.place(candidate.anchor,
+        candidate.text.length * labelCharWidth, layout.labelOffsets,
+        candidate.force);
+
+      if (box) {
+        labels.set(candidate.node, {text: candidate.text, x: box.x, y: box.y});
+      }
+    });
+
+    return labels;
+  }
+
+  /**
+   * Draw every label that fits, see placeLabels. The labels are drawn without the view, so call this after the tree
+   * is drawn, with the view put back.
+   * @param {Object} renderer - see rendererPrimitives
+   * @param {Object} tree - dom-like tree (or node) that was drawn
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Array} rules - style rules, see getNodeStyle
+   * @param {Object} frame - see placeLabels
+   */
+  function drawLabels(renderer, tree, geometry, rules, frame) {
+    placeLabels(tree, geometry, rules, frame).forEach(function(label) {
+      renderer.label(label.text, {x: label.x, y: label.y}, '#000');
+    });
+  }
+
+  /**
+   * Draw a tree onto any object shaped like a CanvasRenderingContext2D, or with any renderer (see
+   * rendererPrimitives), without a viewer (and without a browser). That makes it easy to render trees from
+   * parseHTML() in Node, with a canvas library or a recording renderer:
+   *
+   *  var tree = domToCanvas.parseHTML('<ul><li>One<li>Two</ul>');
+   *  domToCanvas.drawTree(canvas.getContext('2d'), tree, {layout: 'radial'});
+   *
+   * A context has to have the path (beginPath, moveTo, lineTo, arc, rect, fill, stroke, closePath) and text
+   * (fillText) methods, along with fillRect. clearRect, setTransform and setLineDash are optional.
+   *
+   * Options:
+   *  width, height - the area to draw in. They default to the size of ctx.canvas, if there is one.
+   *  layout - see layoutModes
+   *  styles, diff, heatmap, audit, labels - see getStyleRules
+   *  background - color to fill the area with first, or false to leave it alone (default #fff)
+   *
+   * @param {Object} target - a renderer, or a 2D context (or anything shaped like one)
+   * @param {Object} tree - dom-like tree
+   * @param {Object} [options] - drawing options
+   * @return {Object} the geometry the tree was drawn with, see getLayoutGeometry
+   */
+  function drawTree(target, tree, options) {
+    var renderer = isRenderer(target) ? target : createCanvasRenderer(target);
+    var canvas = target.canvas || {};
+    var width;
+    var height;
+    var geometry;
+    var rules;
+
+    options = options || {};
+    width = options.width || canvas.width || tree.end;
+    height = options.height || canvas.height || 300;
+    geometry = getLayoutGeometry(tree, width, height, options.layout);
+
+    if (options.background !== false) {
+      renderer.background(width, height, options.background || '#fff');
+    }
+
+    rules = getStyleRules(options);
+    layoutModes[geometry.layout].draw(renderer, tree, geometry, rules);
+    drawLabels(renderer, tree, geometry, rules,
+      {scale: 1, x: 0, y: 0, width: width, height: height});
+    return geometry;
+  }
+
+  /**
+   * SVG is text, so anything we put into it (tag names, ids, attribute values) needs its special characters escaped.
+   */
+  var xmlEscapeMap = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  };
+
+  /**
+   * The SVG version of nodeShapeMap. Each function returns the markup for a shape centered on x,y.
+   */
+  var svgShapeMap = {
+    '#text': function(x, y, r) {
+      return '<rect x="' + (x - r) + '" y="' + (y - r) + '" width="' + r * 2 +
+        '" height="' + r * 2 + '"';
+    },
+    '#comment': function(x, y, r) {
+      return '<polygon points="' + [
+        x + ',' + (y - r),
+        (x + r) + ',' + y,
+        x + ',' + (y + r),
+        (x - r) + ',' + y
+      ].join(' ') + '"';
+    },
+    '#whitespace': function(x, y, r) {
+      return '<rect x="' + (x - r / 2) + '" y="' + (y - r / 2) +
+        '" width="' + r + '" height="' + r + '"';
+    },
+    'default': function(x, y, r) {
+      return '<circle cx="' + x + '" cy="' + y + '" r="' + r + '"';
+    }
+  };
+
+  /**
+   * @param {String} value - text to put into an SVG document
+   * @return {String} text with &, <, >, " and ' escaped
+   */
+  function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, function(character) {
+      return xmlEscapeMap[character];
+    });
+  }
+
+  /**
+   * @param {Object} from - x and y coordinates of where the line starts
+   * @param {Object} to - x and y coordinates of where the line ends
+   * @param {String} stroke - line color
+   * @param {Array} [dash] - dash pattern, like [4, 2]
+   * @return {String} SVG line markup
+   */
+  function getSVGLine(from, to, stroke, dash) {
+    var dashAttribute = dash && dash.length ?
+      ' stroke-dasharray="' + dash.join(' ') + '"' : '';
+
+    return '<line x1="' + from.x + '" y1="' + from.y + '" x2="' + to.x +
+      '" y2="' + to.y + '" stroke="' + escapeXML(stroke) + '"' +
+      dashAttribute + '/>';
+  }
+
+  /**
+   * Where a node gets drawn. Every node is centered in its range, and each level of depth is a row of the canvas.
+   * @param {Object} node - dom-like node
+   * @param {Number} height - height of each level of the tree
+   * @return {Object} x and y coordinates
+   */
+  function getNodePosition(node, height) {
+    return {
+      x: node.start + (node.end - node.start) / 2,
+      y: node.depth * height + 20
+    };
+  }
+
+  /**
+   * Describe where a node is in the tree, in a CSS-selector-like form, ie: html > body > div#main > p:nth-child(2)
+   *
+   * Elements with an id are identified by their id. Otherwise, elements that have siblings get an :nth-child() to
+   * tell them apart. Text and comment nodes use their nodeName.
+   *
+   * An id that more than one element uses can't tell them apart, so callers that know which ids are unique can
+   * pass isUniqueId, and elements whose id isn't get an :nth-child() instead.
+   *
+   * @param {Object} node - dom-like node
+   * @param {Function} [isUniqueId] - function(node) that returns false if the node's id isn't unique
+   * @return {String} path from the root of the tree to the node
+   */
+  function getNodePath(node, isUniqueId) {
+    var segments = [];
+    var segment;
+    var parent;
+
+    while (node && node.nodeName !== '#document') {
+      parent = node.parentNode;
+
+      if (!node.tagName) {
+        segment = getNodeKey(node);
+      } else if (node.id && (!isUniqueId || isUniqueId(node))) {
+        segment = node.tagName.toLowerCase() + '#' + node.id;
+      } else if (parent && parent.children.length > 1) {
+        segment = node.tagName.toLowerCase() +
+          ':nth-child(' + (parent.children.indexOf(node) + 1) + ')';
+      } else {
+        segment = node.tagName.toLowerCase();
+      }
+
+      segments.unshift(segment);
+      node = parent;
+    }
+
+    return segments.join(' > ');
+  }
+
+  /**
+   * Recursively travel down the dom-like tree, collecting the SVG markup for each edge and node.
+   * This mirrors drawNodes(), so the SVG looks just like the canvas.
+   *
+   * @param {Object} node - Node that we are exporting
+   * @param {Number} height - Height of each level of the tree
+   * @param {Array} styles - style rules
+   * @param {Map} labels - the labels that fit, see placeLabels
+   * @param {Array} edges - markup for the lines between nodes
+   * @param {Array} nodes - markup for the nodes
+   */
+  function collectSVGNodes(node, height, styles, labels, edges, nodes) {
+    var position = getNodePosition(node, height);
+    var nodeKey = getNodeKey(node);
+    var style = getNodeStyle(node, styles);
+    var shape = svgShapeMap[nodeKey] || svgShapeMap.default;
+    var first;
+    var last;
+    var badge;
+    var label;
+    var attributes = [
+      'class="node"',
+      'data-tag="' + escapeXML(nodeKey) + '"',
+      'data-path="' + escapeXML(getNodePath(node)) + '"'
+    ];
+
+    if (node.id) {
+      attributes.push('data-id="' + escapeXML(node.id) + '"');
+    }
+
+    if (node.firstChild && node.firstChild !== node.lastChild) {
+      first = getNodePosition(node.firstChild, height);
+      last = getNodePosition(node.lastChild, height);
+      edges.push(getSVGLine(first, last, edgeColor));
+    }
+
+    node.childNodes.forEach(function(child) {
+      var childPosition = getNodePosition(child, height);
+      var childStyle = getNodeStyle(child, styles);
+
+      edges.push(getSVGLine(position, childPosition, childStyle.edge,
+        childStyle.edgeDash));
+      collectSVGNodes(child, height, styles, labels, edges, nodes);
+    });
+
+    // Collapsed nodes get a badge with the number of descendants they are hiding, like on the canvas
+    if (node.collapsedCount) {
+      badge = getNodePosition(getBadgeNode(node), height);
+      edges.push(getSVGLine(position, badge, edgeColor, [2, 2]));
+      nodes.push('<text class="badge" x="' + badge.x + '" y="' + badge.y +
+        '">+' + node.collapsedCount + '</text>');
+    }
+
+    nodes.push('<g ' + attributes.join(' ') + '>');
+    nodes.push(shape(position.x, position.y, style.radius) +
+      ' fill="' + escapeXML(style.fill) + '"' +
+      (style.stroke ? ' stroke="' + escapeXML(style.stroke) + '"' : '') + '/>');
+
+    if (labels.has(node)) {
+      label = labels.get(node);
+      nodes.push('<text x="' + label.x + '" y="' + label.y + '">' +
+        escapeXML(label.text) + '</text>');
+    }
+
+    nodes.push('</g>');
+  }
+
+  /**
+   * Export a dom-like tree as a standalone SVG document, with the same layout, colors and labels as the canvas.
+   *
+   * Each node is a <g class="node"> with data-tag, data-id and data-path attributes, so the SVG can be searched
+   * (or styled with CSS) after the fact.
+   *
+   * Options:
+   *  width - width of the SVG (defaults to the tree's end, which is the canvas width it was laid out for)
+   *  height - height of the SVG (default 300)
+   *  styles - style rules, see getNodeStyle
+   *  diff - color nodes by their diff status, for trees from diffTrees()
+   *  heatmap - color nodes by a heatmap metric, see heatmapMetrics
+   *  audit - ring the nodes with markup problems, see auditTree
+   *  labels - false to only label html, head and body, instead of every node there's room for (see placeLabels)
+   *
+   * @param {Object} tree - dom-like tree from createDOMLikeObject
+   * @param {Object} [options] - export options
+   * @return {String} SVG markup
+   */
+  function exportSVG(tree, options) {
+    options = options || {};
+
+    var width = options.width || tree.end;
+    var height = options.height || 300;
+    var levelHeight = height / (tree.largestDepth + 1);
+    var edges = [];
+    var nodes = [];
+    var styles = getStyleRules(options);
+    var labels = placeLabels(tree, {layout: 'layered', cellHeight: levelHeight},
+      styles, {scale: 1, x: 0, y: 0, width: width, height: height});
+
+    collectSVGNodes(tree, levelHeight, styles, labels, edges, nodes);
+
+    return [
+      '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' +
+        height + '" viewBox="0 0 ' + width + ' ' + height + '">',
+      '<rect width="100%" height="100%" fill="#fff"/>',
+      '<g class="edges">',
+      edges.join('\n'),
+      '</g>',
+      '<g class="nodes" font-family="sans-serif" font-size="10">',
+      nodes.join('\n'),
+      '</g>',
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Recursively travel down the DOM tree, comparing the current node with the x=y coordinates of
+   * the last click or hover event.
+   * @param {Element} node - Current element we are looking at
+   * @param {Number} x - x-coordinate
+   * @param {NUmber} y - y-coordinate
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Array} rules - style rules, which can change the size of a node
+   * @return {Node} node - node that is in our "click" region
+   */
+  function searchForNodeWithXY(node, x, y, geometry, rules) {
+    var layout = layoutModes[geometry.layout];
+    var nodeRadius = getNodeStyle(node, rules).radius;
+    var range;
+    var child;
+    var i;
+
+    if (layout.isInNode(node, x, y, geometry, nodeRadius)) {
+      return node;
+    }
+
+    // In the layered layout, the range is just x. In the circular ones, it's the angle around the center.
+    range = layout.toRange(x, y, geometry);
+
+    for (i = 0; i < node.childNodes.length; i++) {
+      child = node.childNodes[i];
+
+      /**
+       * Each child will have a smaller (or equal) range to its parent. These ranges do not intersect.
+       * In the event we found a child whose range includes our "x", lets return a search through that child,
+       * since its a better candidate than the other nodes.
+       */
+      if (range > child.start && range < child.end) {
+        return searchForNodeWithXY(child, x, y, geometry, rules);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hit-testing by walking down the tree (see searchForNodeWithXY) is quick, but it still works out the style of
+   * every node on the way down, for every mouse move. A spatial index does that work once per layout: the canvas is
+   * divided into a grid of square cells, and each cell remembers the nodes that overlap it. Finding the node under
+   * the mouse is then a matter of checking the few nodes in one cell.
+   *
+   * The sunburst's slices can be huge, and would end up in a lot of cells, so it keeps walking down the tree.
+   */
+  var spatialCellSize = 20;
+
+  /**
+   * @param {Object} tree - dom-like tree
+   * @param {Object} geometry - see getLayoutGeometry
+   * @param {Array} rules - style rules, which can change the size of a node
+   * @return {Object} index with find(x, y), which returns the node at a point in tree coordinates (or null)
+   */
+  function createSpatialIndex(tree, geometry, rules) {
+    var layout = layoutModes[geometry.layout];
+    var cells = new Map();
+
+    var toCell = function(value) {
+      return Math.floor(value / spatialCellSize);
+    };
+
+    if (geometry.layout === 'sunburst') {
+      return {
+        find: function(x, y) {
+          return searchForNodeWithXY(tree, x, y, geometry, rules);
+        }
+      };
+    }
+
+    collectNodes(tree, function(node) {
+      var position = layout.getPosition(node, geometry);
+      var nodeRadius = getNodeStyle(node, rules).radius;
+      var entry = {node: node, radius: nodeRadius, position: position};
+      var column;
+      var row;
+      var key;
+
+      for (column = toCell(position.x - nodeRadius);
+        column <= toCell(position.x + nodeRadius); column++) {
+        for (row = toCell(position.y - nodeRadius);
+          row <= toCell(position.y + nodeRadius); row++) {
+          key = column + ',' + row;
+          if (!cells.has(key)) {
+            cells.set(key, []);
+          }
+          cells.get(key).push(entry);
+        }
+      }
+      return false;
+    }, []);
+
+    // On a crowded level, nodes can overlap. The one whose center is closest to the point wins.
+    return {
+      find: function(x, y) {
+        var entries = cells.get(toCell(x) + ',' + toCell(y)) || [];
+        var found = null;
+        var closest = Infinity;
+
+        entries.forEach(function(entry) {
+          var distance = Math.pow(entry.position.x - x, 2) +
+            Math.pow(entry.position.y - y, 2);
+
+          if (distance < closest &&
+            layout.isInNode(entry.node, x, y, geometry, entry.radius)) {
+            found = entry.node;
+            closest = distance;
+          }
+        });
+
+        return found;
+      }
+    };
+  }
+
+  /**
+   * requestAnimationFrame runs a callback right before the browser paints the next frame, which is the perfect
+   * time to catch up on everything that changed since the last one. Outside of a browser, a timeout will do.
+   *
+   * https://developer.mozilla.org/en-US/docs/Web/API/window/requestAnimationFrame
+   *
+   * @param {Function} callback - function to run before the next frame
+   * @return {Number} request id, for cancelFrame
+   */
+  function requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(callback, 16);
+  }
+
+  /**
+   * @param {Number} request - request id from requestFrame
+   */
+  function cancelFrame(request) {
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(request);
+    } else {
+      clearTimeout(request);
+    }
+  }
+
+  /**
+   * The colors of the box model when an element is highlighted on the page, from the outside in. They are the
+   * same ones the browser's devtools use, so they should look familiar.
+   *
+   * https://developer.mozilla.org/en-US/docs/Learn/CSS/Building_blocks/The_box_model
+   */
+  var highlightColors = {
+    margin: 'rgba(246, 178, 107, 0.66)',
+    border: 'rgba(255, 229, 153, 0.66)',
+    padding: 'rgba(147, 196, 125, 0.55)',
+    content: 'rgba(111, 168, 220, 0.66)'
+  };
+
+  /**
+   * @param {CSSStyleDeclaration} style - computed style of an element
+   * @param {String} prefix - what goes before the side, ie: margin-
+   * @param {String} suffix - what goes after the side, ie: -width
+   * @return {Array} the top, right, bottom and left sizes in pixels. Negative margins count as 0.
+   */
+  function getBoxEdges(style, prefix, suffix) {
+    return ['top', 'right', 'bottom', 'left'].map(function(side) {
+      return Math.max(0,
+        parseFloat(style.getPropertyValue(prefix + side + suffix)) || 0);
+    });
+  }
+
+  /**
+   * @param {Object} box - {left, top, width, height}
+   * @param {Array} edges - top, right, bottom and left, see getBoxEdges. Negative to shrink the box.
+   * @return {Object} the box, grown by the edges
+   */
+  function growBox(box, edges) {
+    return {
+      left: box.left - edges[3],
+      top: box.top - edges[0],
+      width: Math.max(0, box.width + edges[1] + edges[3]),
+      height: Math.max(0, box.height + edges[0] + edges[2])
+    };
+  }
+
+  /**
+   * Where an element is, relative to the viewport of the document the highlight is in. An element inside a frame
+   * is only measured relative to the frame's viewport, so we add the position of every frame it's in.
+   * @param {Element} element - live element
+   * @param {Window} topWindow - window of the highlight's document
+   * @return {Object} border box, as {left, top, width, height}
+   */
+  function getPageBox(element, topWindow) {
+    var rect = element.getBoundingClientRect();
+    var box = {left: rect.left, top: rect.top, width: rect.width,
+      height: rect.height};
+    var frameWindow = element.ownerDocument.defaultView;
+    var frame;
+    var frameRect;
+
+    while (frameWindow && frameWindow !== topWindow &&
+      frameWindow.frameElement) {
+      frame = frameWindow.frameElement;
+      frameRect = frame.getBoundingClientRect();
+      box.left += frameRect.left + frame.clientLeft;
+      box.top += frameRect.top + frame.clientTop;
+      frameWindow = frame.ownerDocument.defaultView;
+    }
+
+    return box;
+  }
+
+  /**
+   * Highlight elements on a page the way devtools do: an overlay over the element that shows its content, padding,
+   * border and margin boxes, and a label with its tag and size.
+   *
+   * The overlay is a fixed position element of its own, with pointer-events: none, so the page's elements are
+   * never touched (their inline styles, and any MutationObserver watching them, are left alone), and the mouse
+   * goes straight through it. Each box is an element with a border as wide as that part of the box model, so the
+   * rings don't overlap, and the content box is filled in.
+   *
+   * While something is highlighted, the overlay follows it when the page scrolls (any scrolling element, hence
+   * capturing the event), when the window resizes, and when the element itself resizes (with a ResizeObserver,
+   * where there is one). It's only moved once per animation frame, however many of those happen.
+   *
+   * @param {Document} doc - document to put the overlay in
+   * @return {Object} highlighter, with show(element), hide(), destroy() and its element
+   */
+  function createPageHighlighter(doc) {
+    var container = doc.createElement('div');
+    var label = doc.createElement('div');
+    var boxes = {};
+    var target = null;
+    var moveRequest = null;
+    var resizeObserver = null;
+    var topWindow = doc.defaultView;
+
+    container.setAttribute('aria-hidden', 'true');
+    container.style.cssText = [
+      'display: none',
+      'pointer-events: none',
+      'position: fixed',
+      'left: 0',
+      'top: 0',
+      'z-index: 2147483647'
+    ].join(';');
+
+    Object.keys(highlightColors).forEach(function(name) {
+      var box = doc.createElement('div');
+      box.style.cssText = 'position: fixed; box-sizing: border-box; ' +
+        (name === 'content' ?
+          'background: ' + highlightColors[name] :
+          'border-style: solid; border-color: ' + highlightColors[name]);
+      boxes[name] = box;
+      container.appendChild(box);
+    });
+
+    label.style.cssText = [
+      'position: fixed',
+      'background: #333',
+      'border-radius: 2px',
+      'color: #fff',
+      'font: 11px monospace',
+      'padding: 2px 4px',
+      'white-space: nowrap'
+    ].join(';');
+    container.appendChild(label);
+
+    /**
+     * @param {Element} box - one of the boxes
+     * @param {Object} area - where it goes, as {left, top, width, height}
+     * @param {Array} [edges] - how wide its border is on each side
+     */
+    function placeBox(box, area, edges) {
+      box.style.left = area.left + 'px';
+      box.style.top = area.top + 'px';
+      box.style.width = area.width + 'px';
+      box.style.height = area.height + 'px';
+      if (edges) {
+        box.style.borderWidth = edges.join('px ') + 'px';
+      }
+    }
+
+    /**
+     * Measure the element again, and move every box (and the label) to match.
+     */
+    function move() {
+      var style = target.ownerDocument.defaultView.getComputedStyle(target);
+      var borderBox = getPageBox(target, topWindow);
+      var margin = getBoxEdges(style, 'margin-', '');
+      var border = getBoxEdges(style, 'border-', '-width');
+      var padding = getBoxEdges(style, 'padding-', '');
+      var paddingBox = growBox(borderBox, border.map(function(size) {
+        return -size;
+      }));
+
+      placeBox(boxes.margin, growBox(borderBox, margin), margin);
+      placeBox(boxes.border, borderBox, border);
+      placeBox(boxes.padding, paddingBox, padding);
+      placeBox(boxes.content, growBox(paddingBox, padding.map(function(size) {
+        return -size;
+      })));
+
+      label.textContent = target.tagName.toLowerCase() +
+        (target.id ? '#' + target.id : '') +
+        Array.prototype.map.call(target.classList || [], function(name) {
+          return '.' + name;
+        }).join('') + '  ' + Math.round(borderBox.width) + ' \u00d7 ' +
+        Math.round(borderBox.height);
+      label.style.left = Math.max(0, borderBox.left) + 'px';
+
+      // Above the element, unless that's off the top of the screen
+      label.style.top = (borderBox.top - margin[0] >= 22 ?
+        borderBox.top - margin[0] - 22 :
+        borderBox.top + borderBox.height + margin[2] + 4) + 'px';
+    }
+
+    /**
+     * Scrolling and resizing fire a lot of events, so the overlay only moves once per frame.
+     */
+    function scheduleMove() {
+      if (moveRequest === null) {
+        moveRequest = requestFrame(function() {
+          moveRequest = null;
+          if (target && target.isConnected === false) {
+            hide();
+          } else if (target) {
+            move();
+          }
+        });
+      }
+    }
+
+    /**
+     * Hide the overlay, and stop following the element.
+     */
+    function hide() {
+      if (!target) {
+        return;
+      }
+
+      target = null;
+      container.style.display = 'none';
+      cancelFrame(moveRequest);
+      moveRequest = null;
+      doc.removeEventListener('scroll', scheduleMove, true);
+      topWindow.removeEventListener('resize', scheduleMove);
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      }
+    }
+
+    /**
+     * Highlight an element, instead of whatever was highlighted before.
+     * @param {Element} element - live element
+     */
+    function show(element) {
+      if (!target) {
+        doc.addEventListener('scroll', scheduleMove, true);
+        topWindow.addEventListener('resize', scheduleMove);
+      }
+
+      if (!container.parentNode) {
+        (doc.body || doc.documentElement).appendChild(container);
+      }
+
+      if (topWindow.ResizeObserver) {
+        resizeObserver = resizeObserver ||
+          new topWindow.ResizeObserver(scheduleMove);
+        resizeObserver.disconnect();
+        resizeObserver.observe(element);
+      }
+
+      target = element;
+      move();
+      container.style.display = 'block';
+    }
+
+    return {
+      element: container,
+      show: show,
+      hide: hide,
+      destroy: function() {
+        hide();
+        if (container.parentNode) {
+          container.parentNode.removeChild(container);
+        }
+      }
+    };
+  }
+
+  /**
+   * Whether a mutation only touched certain nodes: either its target is one of them, or every node it added or
+   * removed is.
+   * @param {MutationRecord} record - record from a MutationObserver
+   * @param {Function} test - function(node) that returns true for the nodes in question
+   * @return {Boolean} true if nothing else was touched
+   */
+  function isMutationOf(record, test) {
+    var changedNodes = Array.prototype.slice.call(record.addedNodes || [])
+      .concat(Array.prototype.slice.call(record.removedNodes || []));
+
+    return test(record.target) ||
+      changedNodes.length > 0 && changedNodes.every(test);
+  }
+
+  /**
+   * Create a viewer: a tree drawn onto a canvas, along with everything needed to interact with it (hovering,
+   * zooming, panning and re-rooting).
+   *
+   * All of a viewer's state lives inside this function, so every canvas gets its own viewer, and two canvases on
+   * the same page can't trip over each other. It's the same trick this whole file is built on: variables declared
+   * inside a function can only be seen by the functions declared next to them.
+   *
+   * Options are the same as createDOMLikeObject's, plus:
+   *  watch - keep the tree in sync with the rendered document (default false). Changes are batched up until the
+   *    next animation frame, and only the subtrees they touched are walked again (see flushMutations).
+   *  inspector - element to show the details of the hovered (or selected) node in, see renderInspector
+   *  layout - 'layered' (default), 'radial' or 'sunburst', see layoutModes
+   *  renderer - draw with this renderer instead of the canvas' 2D context, see rendererPrimitives. The canvas is
+   *    still where the mouse and keyboard events come from.
+   *  onPick - function(node) called when picker mode ends, with the node that was picked, or null. See pick.
+   *  pickerExclude - elements (like the viewer's own controls) that picker mode leaves alone. The canvas always is.
+   *  breadcrumbs - element to show the path from the document down to the current root in, see renderBreadcrumbs
+   *  pixelRatio - canvas pixels per CSS pixel (defaults to the screen's devicePixelRatio), see resize
+   *  autoFit - make the canvas fill its parent element, and follow it when it's resized, see watchParentSize
+   *
+   * @param {Element} canvas - Canvas that we are rendering a tree onto
+   * @param {Object} [options] - viewer options
+   * @return {Object} viewer with render, update, fitToView, flashNodes, search, pick and destroy
+   */
+  function createViewer(canvas, options) {
+    /**
+     * The CanvasRenderingContext2D interface provides the 2D rendering context for the drawing surface of a
+     * <canvas> element. It provides a set of functions that allow us to draw/manipulate a canvas board.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D
+     */
+    var currentOptions = options || {};
+    var renderer = currentOptions.renderer ||
+      createCanvasRenderer(canvas.getContext('2d'));
+    var currentTree = null;
+    var geometry;
+    var treeStack = [];
+    var observer = null;
+
+    /**
+     * The size the tree is laid out and drawn at, in CSS pixels. On a high-DPI screen, the canvas has pixelRatio
+     * times as many pixels as that (its backing store), and everything is drawn scaled up to match, so it comes
+     * out sharp instead of stretched. See resize.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/API/Window/devicePixelRatio
+     */
+    var size = {width: canvas.width, height: canvas.height};
+    var pixelRatio = 1;
+    var previousCanvasSize = {
+      width: canvas.width,
+      height: canvas.height,
+      styleWidth: canvas.style.width,
+      styleHeight: canvas.style.height
+    };
+    var resizeObserver = null;
+
+    /**
+     * Mutations pile up in pendingRecords until the next animation frame, and then the subtrees they touched are
+     * patched all at once (see flushMutations). nodesByRef gets us from a live node to the node drawn for it, and
+     * the spatial index finds the node under the mouse. Both belong to the current tree. Trees in the stack aren't
+     * patched at all: they are only marked as stale, and get rebuilt when we go back to them.
+     */
+    var pendingRecords = [];
+    var frameRequest = null;
+    var nodesByRef = new Map();
+    var spatialIndex = null;
+    var staleTrees = new WeakSet();
+
+    /**
+     * Hover labels go onto a second canvas, laid over this one, so they can come and go without redrawing the
+     * tree underneath them. See drawHoverLabel.
+     */
+    var overlay = null;
+    var overlayRenderer = null;
+    var hoveredNode = null;
+
+    /**
+     * In picker mode, we listen to the page instead of the canvas: whatever the mouse is over on the page gets
+     * found (and focused) on the canvas. See pick.
+     */
+    var pickerDocument = null;
+
+    // Highlights the hovered (or focused) element on the page, see createPageHighlighter
+    var highlighter = null;
+    var hoverDebounce;
+
+    /**
+     * Zooming and panning don't change the tree's layout at all. Instead we keep track of a scale and an offset, and
+     * let the canvas transform everything we draw: screen = tree * scale + offset.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/setTransform
+     */
+    var view = {scale: 1, x: 0, y: 0};
+
+    // Set on mousedown, and used to tell a drag apart from a click.
+    var dragStart;
+    var wasDragged = false;
+
+    // Live nodes that were just touched by a mutation, and get drawn with a ring around them for a moment.
+    var flashedNodes = new Set();
+    var flashStyleRule = createFlashStyleRule(flashedNodes);
+    var flashTimeout;
+
+    /**
+     * Keyboard focus. The focused node gets a ring, is highlighted on the page, and is announced through an ARIA
+     * live region, which screen readers read out whenever its text changes.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/Accessibility/ARIA/ARIA_Live_Regions
+     */
+    var focusedNode = null;
+    var focusStyleRule = createFocusStyleRule(function() {
+      return focusedNode;
+    });
+    var liveRegion = null;
+
+    /**
+     * Nodes that were collapsed or expanded by hand. Trees get rebuilt from scratch all the time (whenever the page
+     * changes, for instance), so we remember the nodes by the __nodeRef they were built from, which stays the same.
+     * Expanding a node also overrides options.collapseDepth and options.collapseThreshold.
+     */
+    var collapsedNodes = new Set();
+    var expandedNodes = new Set();
+
+    // The selector we are searching for, and the nodes in the current tree that match it.
+    var searchSelector = null;
+    var searchMatches = new Set();
+    var searchStyleRules = createSearchStyleRules(searchMatches);
+
+    // The crumbs last shown in options.breadcrumbs, so they are only rendered again when they change
+    var shownCrumbs = null;
+
+    // Attributes we set on the canvas to make it focusable, so destroy() can put back whatever was there before.
+    var canvasAttributes = {
+      'tabindex': '0',
+      'role': 'application',
+      'aria-label': 'DOM tree. Use the arrow keys to move between nodes, ' +
+        'Enter to re-root, Backspace to go back and Space to collapse or ' +
+        'expand.'
+    };
+    var previousCanvasAttributes = {};
+
+    /**
+     * Every listener we add, so destroy() can remove the exact same functions again. removeEventListener only
+     * works if it's handed the same function that was added, which is why none of these are anonymous.
+     */
+    var listeners = [
+      ['click', handleCanvasClick],
+      ['dblclick', handleCanvasDoubleClick],
+      ['wheel', handleCanvasWheel],
+      ['mousedown', handleCanvasMouseDown],
+      ['mousemove', handleCanvasMouseMove],
+      ['mouseup', handleCanvasMouseUp],
+      ['mouseleave', handleCanvasMouseLeave],
+      ['keydown', handleCanvasKeyDown],
+      ['focus', handleCanvasFocus]
+    ];
+
+    var viewer = {
+      canvas: canvas,
+      render: render,
+      update: update,
+      fitToView: fitToView,
+      flashNodes: flashNodes,
+      search: search,
+      audit: audit,
+      pick: pick,
+      getBreadcrumbs: getBreadcrumbs,
+      showRoot: showRoot,
+      getViewState: getViewState,
+      setViewState: setViewState,
+      resize: resize,
+      getSize: getSize,
+      collapse: collapse,
+      expand: expand,
+      collapseBelow: collapseBelow,
+      ownsNode: ownsNode,
+      destroy: destroy
+    };
+
+    /**
+     * @return {Array} the style rules to draw with, including the ring around flashed nodes
+     */
+    function getRules() {
+      var rules = getStyleRules(currentOptions);
+
+      if (searchSelector) {
+        rules = rules.concat(searchStyleRules);
+      }
+
+      if (focusedNode) {
+        rules = rules.concat(focusStyleRule);
+      }
+
+      return flashedNodes.size ? rules.concat(flashStyleRule) : rules;
+    }
+
+    /**
+     * Set a renderer's view in CSS pixels. The renderer draws in canvas pixels, so everything gets scaled up by the
+     * pixel ratio on the way.
+     * @param {Object} target - renderer
+     * @param {Number} scale - zoom
+     * @param {Number} x - horizontal offset in CSS pixels
+     * @param {Number} y - vertical offset in CSS pixels
+     */
+    function setView(target, scale, x, y) {
+      target.view(scale * pixelRatio, x * pixelRatio, y * pixelRatio);
+    }
+
+    /**
+     * options.pixelRatio, or the screen's, when we are drawing onto the canvas ourselves. A custom renderer draws
+     * wherever it likes, so it gets CSS pixels unless it asks otherwise.
+     * @return {Number} canvas pixels per CSS pixel
+     */
+    function getPixelRatio() {
+      var defaultView = canvas.ownerDocument &&
+        canvas.ownerDocument.defaultView;
+
+      if (currentOptions.pixelRatio) {
+        return currentOptions.pixelRatio;
+      }
+      return !currentOptions.renderer && defaultView &&
+        defaultView.devicePixelRatio || 1;
+    }
+
+    /**
+     * Change the size the tree is drawn at. The canvas is shown at that size (in CSS pixels), its backing store gets
+     * pixelRatio times as many pixels, and every tree is laid out again for the new width. The zoom and pan stay.
+     *
+     * The pixel ratio is read again every time, since it changes when the window moves to another screen (or the
+     * page is zoomed).
+     *
+     * @param {Number} width - width in CSS pixels
+     * @param {Number} height - height in CSS pixels
+     */
+    function resize(width, height) {
+      setCanvasSize(width, height);
+      rebuildTrees();
+    }
+
+    /**
+     * Size the canvas (and its backing store), without touching the trees.
+     * @param {Number} width - width in CSS pixels
+     * @param {Number} height - height in CSS pixels
+     */
+    function setCanvasSize(width, height) {
+      size = {width: width, height: height};
+      pixelRatio = getPixelRatio();
+
+      canvas.width = Math.round(width * pixelRatio);
+      canvas.height = Math.round(height * pixelRatio);
+      canvas.style.width = width + 'px';
+      canvas.style.height = height + 'px';
+    }
+
+    /**
+     * @return {Object} the size the tree is drawn at, in CSS pixels, as {width, height}
+     */
+    function getSize() {
+      return {width: size.width, height: size.height};
+    }
+
+    /**
+     * With options.autoFit, the canvas fills its parent element, and follows it whenever it changes size. Sizes
+     * are rounded to whole pixels, and nothing happens unless one of them actually changed, so a parent that is
+     * sized by the canvas itself doesn't go around in circles.
+     *
+     * https://developer.mozilla.org/en-US/docs/Web/API/ResizeObserver
+     */
+    function watchParentSize() {
+      var defaultView = canvas.ownerDocument &&
+        canvas.ownerDocument.defaultView;
+
+      if (!currentOptions.autoFit || resizeObserver || !canvas.parentNode ||
+        !defaultView || !defaultView.ResizeObserver) {
+        return;
+      }
+
+      resizeObserver = new defaultView.ResizeObserver(function(entries) {
+        var rect = entries[entries.length - 1].contentRect;
+        var width = Math.round(rect.width) || size.width;
+        var height = Math.round(rect.height) || size.height;
+
+        if (width !== size.width || height !== size.height ||
+          getPixelRatio() !== pixelRatio) {
+          resize(width, height);
+        }
+      });
+      resizeObserver.observe(canvas.parentNode);
+    }
+
+    /**
+     * Convert a point on the canvas (like a MouseEvent's offsetX/offsetY) into the coordinates the tree was laid out
+     * in. This is the reverse of the transform that paintTree() applies.
+     * @param {Number} x - x-coordinate on the canvas
+     * @param {Number} y - y-coordinate on the canvas
+     * @return {Object} point in tree coordinates
+     */
+    function toTreePoint(x, y) {
+      return {
+        x: (x - view.x) / view.scale,
+        y: (y - view.y) / view.scale
+      };
+    }
+
+    /**
+     * Whether the canvas is zoomed or panned at all.
+     * @return {Boolean} true if the view is not the default, fitted view
+     */
+    function isViewTransformed() {
+      return view.scale !== 1 || view.x !== 0 || view.y !== 0;
+    }
+
+    /**
+     * Whether a canvas point is on the back arrow in the top-left corner. Only visible if there is a tree to go
+     * back to.
+     * @param {Number} x - x-coordinate on the canvas
+     * @param {Number} y - y-coordinate on the canvas
+     * @return {Boolean} true if the point is on the back arrow
+     */
+    function isOnBackArrow(x, y) {
+      return x < 20 && y < 20 && treeStack.length > 0;
+    }
+
+    /**
+     * Whether a canvas point is on the "fit to view" button in the top-right corner. Only visible while zoomed or
+     * panned.
+     * @param {Number} x - x-coordinate on the canvas
+     * @param {Number} y - y-coordinate on the canvas
+     * @return {Boolean} true if the point is on the fit button
+     */
+    function isOnFitButton(x, y) {
+      return x > size.width - 20 && y < 20 && isViewTransformed();
+    }
+
+    /**
+     * The options trees are built with: the viewer's options, with the nodes collapsed or expanded by hand taking
+     * priority over options.collapse. The viewer's own elements are always filtered out (see ownsNode).
+     * @return {Object} traversal options
+     */
+    function getTreeOptions() {
+      return Object.assign({}, currentOptions, {
+        nodeFilter: function(node) {
+          if (ownsNode(node)) {
+            return false;
+          }
+          return currentOptions.nodeFilter ?
+            currentOptions.nodeFilter(node) : true;
+        },
+        collapse: function(node) {
+          if (collapsedNodes.has(node.__nodeRef)) {
+            return true;
+          }
+          if (expandedNodes.has(node.__nodeRef)) {
+            return false;
+          }
+          return currentOptions.collapse ? currentOptions.collapse(node) :
+            undefined;
+        }
+      });
+    }
+
+    /**
+     * Turn a document (or any node) into the tree we are showing.
+     * @param {Document} root - document, live node or dom-like node to build the tree from
+     */
+    function buildTree(root) {
+      currentTree = createDOMLikeObject(root, 0, size.width,
+        getTreeOptions());
+      treeChanged();
+    }
+
+    /**
+     * Whenever the current tree is replaced or patched, everything we worked out from it has to be worked out again.
+     */
+    function treeChanged() {
+      geometry = getLayoutGeometry(currentTree, size.width, size.height,
+        currentOptions.layout);
+      nodesByRef = indexNodeRefs(currentTree, new Map());
+      spatialIndex = null;
+      refocus();
+      findSearchMatches();
+
+      if (currentOptions.breadcrumbs) {
+        showBreadcrumbs();
+      }
+    }
+
+    /**
+     * Whenever the style rules change (the focus, the flashed nodes, the search or the audit), the tree has to be
+     * drawn again. So does the spatial index, since rules can change the size of a node (see getRules).
+     */
+    function stylesChanged() {
+      spatialIndex = null;
+      paintTree();
+    }
+
+    /**
+     * Render the breadcrumbs, unless they would come out the same as the ones already there. The breadcrumbs can be
+     * part of the page we are watching, and re-rendering them for nothing would be a change to the page, which would
+     * patch the tree, which would render them again.
+     */
+    function showBreadcrumbs() {
+      var crumbs = getBreadcrumbs();
+      var key = JSON.stringify(crumbs.map(function(crumb) {
+        return [crumb.label, crumb.path];
+      }));
+
+      if (key === shownCrumbs) {
+        return;
+      }
+
+      shownCrumbs = key;
+      renderBreadcrumbs(currentOptions.breadcrumbs, crumbs, function(crumb) {
+        showRoot(crumb.node);
+      });
+    }
+
+    /**
+     * The spatial index is only built once something needs it, and then kept until the tree or the style rules
+     * change.
+     * @param {Number} x - x-coordinate in tree coordinates
+     * @param {Number} y - y-coordinate in tree coordinates
+     * @return {Object} the node at that point, or null
+     */
+    function findNodeAt(x, y) {
+      if (!spatialIndex) {
+        spatialIndex = createSpatialIndex(currentTree, geometry, getRules());
+      }
+      return spatialIndex.find(x, y);
+    }
+
+    /**
+     * Every time the tree is rebuilt, its nodes are new objects, so we look for the search matches all over again.
+     * Unlike querySelectorAll, the node at the top of the tree can match too.
+     */
+    function findSearchMatches() {
+      searchMatches.clear();
+
+      if (searchSelector) {
+        collectNodes(currentTree, function(node) {
+          return matchesSelector(node, searchSelector);
+        }, []).forEach(function(node) {
+          searchMatches.add(node);
+        });
+      }
+    }
+
+    /**
+     * After the tree changes, point the keyboard focus at the new copy of the focused node. If it isn't in the
+     * tree anymore, nothing has focus.
+     */
+    function refocus() {
+      if (focusedNode) {
+        focusedNode = findNodeByRef(currentTree, focusedNode.__nodeRef);
+      }
+    }
+
+    /**
+     * Clear the canvas and draw the current tree with the current zoom and pan.
+     *
+     * The background and the corner buttons are drawn without the transform, so they stay put while the tree moves
+     * around underneath them.
+     */
+    function paintTree() {
+      var right = size.width;
+      var rules = getRules();
+
+      // Whatever was hovered may have moved, so its label goes
+      clearHoverLabel();
+
+      setView(renderer, 1, 0, 0);
+      renderer.background(size.width, size.height, '#fff');
+
+      setView(renderer, view.scale, view.x, view.y);
+      layoutModes[geometry.layout].draw(renderer, currentTree, geometry, rules);
+      setView(renderer, 1, 0, 0);
+
+      // Labels keep the same size at any zoom, so the closer we zoom in, the more of them fit
+      drawLabels(renderer, currentTree, geometry, rules, {
+        scale: view.scale,
+        x: view.x,
+        y: view.y,
+        width: size.width,
+        height: size.height
+      });
+
+      /**
+       * If our stack has any nodes in them, then we should display an arrow to indicate the user can go backward.
+       */
+      if (treeStack.length) {
+        renderer.backArrow();
+      }
+
+      // Likewise, if we are zoomed or panned, display a box that resets the view.
+      if (isViewTransformed()) {
+        renderer.resetButton(right);
+      }
+    }
+
+    /**
+     * Render a document onto the canvas, starting over with a fresh stack of re-rooted trees.
+     *
+     * If the watch option is on, the first live document we render is observed, and the tree gets rebuilt whenever
+     * it changes (see update).
+     *
+     * @param {Document} myDocument - document (or dom-like tree) we want to render
+     * @param {Object} [newOptions] - replaces the viewer's options. Otherwise, the last options given are reused.
+     */
+    function render(myDocument, newOptions) {
+      if (newOptions) {
+        currentOptions = newOptions;
+        shownCrumbs = null;
+      }
+
+      // Somebody else changed the canvas' size since we last drew on it, so that's the size we draw at now
+      if (canvas.width !== Math.round(size.width * pixelRatio) ||
+        canvas.height !== Math.round(size.height * pixelRatio)) {
+        setCanvasSize(canvas.width, canvas.height);
+      }
+
+      treeStack = [];
+      buildTree(myDocument);
+      paintTree();
+      watchParentSize();
+
+      /**
+       * And now, to be extra fancy, we're going to use an observer to watch the
+       * document for changes.
+       *
+       * More info: https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver
+       * https://developers.google.com/web/updates/2012/02/Detect-DOM-changes-with-Mutation-Observers
+       */
+      if (currentOptions.watch && !observer && typeof Node !== 'undefined' &&
+        myDocument instanceof Node) {
+        observer = new MutationObserver(queueMutations);
+
+        /**
+         * These two observerConfigs seem to be enough to catch the node changes that we want.
+         * childList observes changes on the current target (document)'s children, and subtree
+         * observes changes on the target's descendents as well
+         */
+        observer.observe(myDocument, {
+          childList: true,
+          subtree: true
+        });
+      }
+    }
+
+    /**
+     * Rebuild every tree from the live nodes they came from, and redraw. This is what keeps the canvas in sync
+     * when the page changes.
+     */
+    function update() {
+      if (!currentTree) {
+        return;
+      }
+
+      cancelFrame(frameRequest);
+      frameRequest = null;
+      pendingRecords = [];
+
+      /**
+       * Update all the previous instances of the treestack, rebuilding out DOMLikeObjects with new dimentions to
+       * account for the added/removed nodes.
+       */
+      treeStack = treeStack.map(function(tree) {
+        return createDOMLikeObject(tree.__nodeRef, 0, size.width,
+          getTreeOptions());
+      });
+
+      /**
+       * Re-create the tree that is currently displayed, calculating the new height/widths of the children.
+       */
+      buildTree(currentTree.__nodeRef);
+      paintTree();
+    }
+
+    /**
+     * The MutationObserver calls this with every batch of mutation records. A busy page can change many times a
+     * frame, so instead of redrawing right away, we hold on to the records until the next animation frame.
+     * @param {Array} records - MutationRecords
+     */
+    function queueMutations(records) {
+      pendingRecords = pendingRecords.concat(records.filter(function(record) {
+        return !isMutationOf(record, ownsNode);
+      }));
+
+      if (pendingRecords.length && frameRequest === null) {
+        frameRequest = requestFrame(flushMutations);
+      }
+    }
+
+    /**
+     * The node drawn for a live node that changed. If the live node itself isn't drawn (it's a text node, or it's
+     * hidden in a collapsed node, for instance), we look for its closest ancestor that is.
+     * @param {Node} liveNode - the target of a mutation
+     * @return {Object} dom-like node, or null if the live node isn't part of the current tree at all
+     */
+    function findChangedNode(liveNode) {
+      var node;
+
+      for (node = liveNode; node; node = node.parentNode || node.host) {
+        if (nodesByRef.has(node)) {
+          return nodesByRef.get(node);
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Catch up on every mutation since the last frame. Each mutation's target is the node whose children
+     * changed, so walking that node again (and nothing else) is enough to bring the tree up to date. If one
+     * changed node is inside another, walking the outer one covers both.
+     *
+     * Changes to the root itself (or to a tree collapsed with collapseThreshold, where a change anywhere can
+     * collapse or expand an ancestor) still rebuild the whole tree.
+     */
+    function flushMutations() {
+      var changedNodes = new Set();
+      var outermostNodes;
+
+      frameRequest = null;
+      pendingRecords.forEach(function(record) {
+        var node = findChangedNode(record.target);
+        if (node) {
+          changedNodes.add(node);
+        }
+      });
+      pendingRecords = [];
+
+      treeStack.forEach(function(tree) {
+        staleTrees.add(tree);
+      });
+
+      if (!changedNodes.size) {
+        return;
+      }
+
+      if (changedNodes.has(currentTree) || currentOptions.collapseThreshold) {
+        buildTree(currentTree.__nodeRef);
+        paintTree();
+        return;
+      }
+
+      outermostNodes = Array.from(changedNodes).filter(function(node) {
+        var ancestor;
+
+        for (ancestor = node.parentNode; ancestor;
+          ancestor = ancestor.parentNode) {
+          if (changedNodes.has(ancestor)) {
+            return false;
+          }
+        }
+        return true;
+      });
+
+      patchTree(currentTree, outermostNodes, getTreeOptions());
+      treeChanged();
+      paintTree();
+    }
+
+    /**
+     * Reset the zoom and pan. The layout already spreads the tree across the whole canvas, so fitting the tree
+     * into view is the same as getting rid of the transform.
+     */
+    function fitToView() {
+      view.scale = 1;
+      view.x = 0;
+      view.y = 0;
+
+      if (currentTree) {
+        paintTree();
+      }
+    }
+
+    /**
+     * Draw a ring around the given live nodes for a moment, to show what a mutation touched.
+     * @param {Set} nodes - live nodes
+     */
+    function flashNodes(nodes) {
+      clearTimeout(flashTimeout);
+      flashedNodes.clear();
+      nodes.forEach(function(node) {
+        flashedNodes.add(node);
+      });
+      stylesChanged();
+
+      flashTimeout = setTimeout(function() {
+        flashedNodes.clear();
+        stylesChanged();
+      }, flashDuration);
+    }
+
+    /**
+     * Rebuild every tree from the trees we already have (rather than from the page), so collapsing and expanding
+     * works for snapshots too. Collapsed nodes hold on to their children, see collapseNodes.
+     */
+    function rebuildTrees() {
+      if (!currentTree) {
+        return;
+      }
+
+      treeStack = treeStack.map(function(tree) {
+        return createDOMLikeObject(staleTrees.has(tree) ? tree.__nodeRef : tree,
+          0, size.width, getTreeOptions());
+      });
+      buildTree(currentTree);
+      paintTree();
+    }
+
+    /**
+     * @param {Object} node - dom-like node (from any tree of this viewer), or the live node it was built from
+     * @return {Object} the __nodeRef the node's trees are built from
+     */
+    function getCollapseKey(node) {
+      return isDOMLikeNode(node) ? node.__nodeRef || node : node;
+    }
+
+    /**
+     * Hide a node's descendants behind a badge, until it's expanded again.
+     * @param {Object} node - dom-like or live node
+     */
+    function collapse(node) {
+      var key = getCollapseKey(node);
+
+      expandedNodes.delete(key);
+      collapsedNodes.add(key);
+      rebuildTrees();
+    }
+
+    /**
+     * Show a node's descendants again, even if collapseDepth or collapseThreshold would collapse it.
+     * @param {Object} node - dom-like or live node
+     */
+    function expand(node) {
+      var key = getCollapseKey(node);
+
+      collapsedNodes.delete(key);
+      expandedNodes.add(key);
+      rebuildTrees();
+    }
+
+    /**
+     * Collapse every node at a given depth, so nothing below it is drawn. Nodes expanded by hand are collapsed
+     * again, since this is a fresh start for everything below that depth.
+     * @param {Number} depth - depth to collapse at, or null to stop collapsing by depth
+     */
+    function collapseBelow(depth) {
+      currentOptions = Object.assign({}, currentOptions, {
+        collapseDepth: depth
+      });
+      expandedNodes.clear();
+      rebuildTrees();
+    }
+
+    /**
+     * Collapse a node if it's expanded, and expand it if it's collapsed. Focus stays on the node.
+     * @param {Object} node - dom-like node from the current tree
+     */
+    function toggleCollapsed(node) {
+      var key = node.__nodeRef;
+
+      if (node.collapsedCount) {
+        expand(node);
+      } else {
+        collapse(node);
+      }
+
+      focusNode(findNodeByRef(currentTree, key) || currentTree);
+    }
+
+    /**
+     * Highlight the nodes that match a CSS selector, and dim everything else. An empty selector ends the search.
+     * An invalid selector throws, and leaves the previous search in place.
+     * @param {String} selector - CSS selector
+     * @return {Number} how many nodes match
+     */
+    function search(selector) {
+      if (selector) {
+        parseSelector(selector);
+      }
+
+      searchSelector = selector || null;
+
+      if (currentTree) {
+        findSearchMatches();
+        stylesChanged();
+      }
+
+      return searchMatches.size;
+    }
+
+    /**
+     * Turn audit mode on (with the options for auditTree, or true for the defaults) or off, and redraw. Nodes with
+     * markup problems get a warning ring.
+     * @param {Object|Boolean} [options] - audit options, or false to turn audit mode off (default true)
+     * @return {Array} the findings for the current tree, see auditTree
+     */
+    function audit(options) {
+      options = options === undefined ? true : options;
+      currentOptions = Object.assign({}, currentOptions, {audit: options});
+
+      if (!currentTree) {
+        return [];
+      }
+
+      stylesChanged();
+      return options ? auditTree(currentTree, options === true ? {} : options) :
+        [];
+    }
+
+    /**
+     * The viewer adds a few elements of its own to the page: the hover label overlay, the page highlight and the
+     * live region. It also fills in the inspector and the breadcrumbs, and the elements in options.pickerExclude
+     * are the viewer's own controls. None of them are part of the page, so they are left out of the tree, and
+     * changes to them are ignored (otherwise updating them would change the page, which would update them again).
+     * Anyone else watching the page for changes (like the timeline) can leave them out too.
+     * @param {Node} node - live node
+     * @return {Boolean} whether the node is (or is inside) one of the viewer's own elements
+     */
+    function ownsNode(node) {
+      // Trees are rebuilt from dom-like trees too, and those are never ours
+      if (isDOMLikeNode(node)) {
+        return false;
+      }
+
+      return [overlay, highlighter && highlighter.element, liveRegion,
+        currentOptions.inspector, currentOptions.breadcrumbs].concat(
+        currentOptions.pickerExclude || []).some(function(element) {
+          return Boolean(element) && element.contains(node);
+        });
+    }
+
+    /**
+     * Take the highlight off the page.
+     */
+    function clearHighlight() {
+      if (highlighter) {
+        highlighter.hide();
+      }
+    }
+
+    /**
+     * Highlight an element on the page with an overlay of its box model (see createPageHighlighter). Only elements
+     * have a box model, so text nodes (and dom-like nodes without a live node) just clear the highlight.
+     * @param {Node} domNode - live node
+     */
+    function highlightPageNode(domNode) {
+      if (!domNode || domNode.nodeType !== ELEMENT_NODE ||
+        typeof domNode.getBoundingClientRect !== 'function') {
+        clearHighlight();
+        return;
+      }
+
+      highlighter = highlighter || createPageHighlighter(canvas.ownerDocument);
+      highlighter.show(domNode);
+    }
+
+    /**
+     * Tear the viewer down: stop watching the document, remove every listener, cancel any pending timers, restore
+     * the page element we highlighted, and remove the live region. The canvas itself is left alone (other than
+     * putting back its attributes), since we didn't create it.
+     */
+    function destroy() {
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+        resizeObserver = null;
+      }
+
+      listeners.forEach(function(listener) {
+        canvas.removeEventListener(listener[0], listener[1]);
+      });
+
+      clearTimeout(hoverDebounce);
+      clearTimeout(flashTimeout);
+      cancelFrame(frameRequest);
+      stopPicking();
+      inspect(null);
+
+      if (highlighter) {
+        highlighter.destroy();
+        highlighter = null;
+      }
+
+      if (overlay && overlay.parentNode) {
+        overlay.parentNode.removeChild(overlay);
+      }
+
+      if (liveRegion && liveRegion.parentNode) {
+        liveRegion.parentNode.removeChild(liveRegion);
+      }
+
+      Object.keys(previousCanvasAttributes).forEach(function(name) {
+        if (previousCanvasAttributes[name] === null) {
+          canvas.removeAttribute(name);
+        } else {
+          canvas.setAttribute(name, previousCanvasAttributes[name]);
+        }
+      });
+
+      canvas.width = previousCanvasSize.width;
+      canvas.height = previousCanvasSize.height;
+      canvas.style.width = previousCanvasSize.styleWidth;
+      canvas.style.height = previousCanvasSize.styleHeight;
+
+      canvasViewers.delete(canvas);
+    }
+
+    /**
+     * Because canvas is a 2-dimentional block, it doesn't store reference to what "element" or "shapes" we click
+     * on. Instead, we need to figure that ourselves.
+     *
+     * A single click on one of the buttons in the corners goes back or fits the view. A single click on a node
+     * selects it, the same way moving the keyboard focus onto it would, and shift-clicking a node collapses or
+     * expands it. Re-rooting is left to handleCanvasDoubleClick. Since a single click is also how a drag ends, we
+     * ignore clicks after a drag.
+     *
+     * @param {MouseEvent} event - some browsers will include a global event, but its always safer to declare it
+     * yourself. For instance, last time I checked FireFox doesn't give you a freebee event object
+     */
+    function handleCanvasClick(event) {
+      var x = event.offsetX;
+      var y = event.offsetY;
+      var point;
+      var found;
+
+      if (wasDragged) {
+        wasDragged = false;
+        return;
+      }
+
+      /**
+       * We're using a stack (actually just an array we are treating like a stack)
+       * If the user clicks the top-left corner, we can assume they were trying to go backwards up the stack.
+       */
+      if (isOnBackArrow(x, y)) {
+        goBack();
+      } else if (isOnFitButton(x, y)) {
+        fitToView();
+      } else if (currentTree) {
+        point = toTreePoint(x, y);
+        found = findNodeAt(point.x, point.y);
+        if (found && event.shiftKey) {
+          toggleCollapsed(found);
+        } else if (found) {
+          focusNode(found);
+        }
+      }
+    }
+
+    /**
+     * Double clicking a node re-roots the tree at that node. We find the node they were trying to click on, and
+     * push the previous tree into the stack, so the back arrow can bring it back.
+     *
+     * In our case, we traverse down the tree until we find the node that we were trying to click on.
+     *
+     * @param {MouseEvent} event - double click event
+     */
+    function handleCanvasDoubleClick(event) {
+      var x = event.offsetX;
+      var y = event.offsetY;
+      var point;
+      var found;
+
+      if (isOnBackArrow(x, y) || isOnFitButton(x, y)) {
+        return;
+      }
+
+      point = toTreePoint(x, y);
+      found = findNodeAt(point.x, point.y);
+
+      if (!found) {
+        return;
+      }
+
+      reroot(found);
+    }
+
+    /**
+     * Re-root the tree at a node, pushing the previous tree into the stack so we can come back to it.
+     * @param {Object} node - dom-like node that becomes the new root
+     */
+    function reroot(node) {
+      treeStack.push(currentTree);
+      buildTree(node);
+      fitToView();
+    }
+
+    /**
+     * Pop the previous tree off the stack, if there is one.
+     */
+    function goBack() {
+      if (!treeStack.length) {
+        return;
+      }
+
+      currentTree = treeStack.pop();
+
+      // The page changed while we were looking at another tree, so this one needs a fresh walk
+      if (staleTrees.has(currentTree)) {
+        buildTree(currentTree.__nodeRef);
+      } else {
+        treeChanged();
+      }
+      fitToView();
+    }
+
+    /**
+     * The path from the root of the document (the tree at the bottom of the stack) down to the node the current
+     * tree is rooted at, one crumb per node.
+     * @return {Array} {label, path, node} for each node, where node is from the bottom tree (see getNodeLabel and
+     * getNodePath)
+     */
+    function getBreadcrumbs() {
+      var bottomTree = treeStack[0] || currentTree;
+      var crumbs = [];
+      var node;
+
+      if (!currentTree) {
+        return crumbs;
+      }
+
+      node = findNodeByRef(bottomTree, currentTree.__nodeRef, true) ||
+        bottomTree;
+      for (; node; node = node.parentNode) {
+        crumbs.unshift({
+          label: getNodeLabel(node),
+          path: getNodePath(node),
+          node: node
+        });
+      }
+
+      return crumbs;
+    }
+
+    /**
+     * Jump straight to a tree rooted at a node. If one of the trees in the stack is rooted there, we go back to it.
+     * Otherwise, we go back until the node is in the current tree, and re-root there, so the back arrow still
+     * leads towards the document.
+     * @param {Object} node - dom-like node (from any tree of this viewer), or the live node it was built from
+     * @return {Boolean} false if the node isn't in any of the viewer's trees
+     */
+    function showRoot(node) {
+      var key = getCollapseKey(node);
+      var found;
+
+      if (!currentTree) {
+        return false;
+      }
+
+      while (treeStack.length && !findNodeByRef(currentTree, key, true)) {
+        goBack();
+      }
+
+      found = findNodeByRef(currentTree, key, true);
+      if (found && found !== currentTree) {
+        reroot(found);
+      }
+
+      return Boolean(found);
+    }
+
+    /**
+     * Write down what the viewer is showing (the root, zoom and pan, and the nodes collapsed or expanded by hand),
+     * so the same view can be opened again, on another machine even, with setViewState. Nodes are written down as
+     * paths in the document's tree, so the view only comes back the same on the same page, walked with the same
+     * options.
+     * @return {String} view state, see formatViewState
+     */
+    function getViewState() {
+      var bottomTree = treeStack[0] || currentTree;
+
+      var getPath = function(key) {
+        var node = findNodeByRef(bottomTree, key, true);
+        return node ? getTreePath(node) : null;
+      };
+
+      var getPaths = function(keys) {
+        return Array.from(keys).map(getPath).filter(Boolean);
+      };
+
+      if (!currentTree) {
+        return '';
+      }
+
+      return formatViewState({
+        root: getPath(currentTree.__nodeRef) || [],
+        view: view,
+        collapsed: getPaths(collapsedNodes),
+        expanded: getPaths(expandedNodes)
+      });
+    }
+
+    /**
+     * Open a view written down by getViewState: collapse and expand the same nodes, re-root the document's tree at
+     * the same node, and zoom and pan the same way. Paths that don't lead anywhere in this tree are skipped. The
+     * stack ends up with just the document's tree in it, so going back leads straight there.
+     * @param {String} text - view state, ie: from location.hash
+     * @return {Boolean} whether the root was found (it's the document's root otherwise)
+     */
+    function setViewState(text) {
+      var state = parseViewState(text);
+      var bottomTree = treeStack[0] || currentTree;
+      var root;
+
+      var getKeys = function(paths) {
+        return paths.map(function(path) {
+          return getNodeAtTreePath(bottomTree, path);
+        }).filter(Boolean).map(getCollapseKey);
+      };
+
+      if (!currentTree) {
+        return false;
+      }
+
+      collapsedNodes = new Set(getKeys(state.collapsed));
+      expandedNodes = new Set(getKeys(state.expanded));
+
+      treeStack = [];
+      buildTree(staleTrees.has(bottomTree) ? bottomTree.__nodeRef : bottomTree);
+
+      // The page may have changed since the old tree was built, so the root is looked up in the new one
+      root = getNodeAtTreePath(currentTree, state.root);
+      if (root && root !== currentTree) {
+        reroot(root);
+      }
+
+      if (state.view) {
+        view = state.view;
+      } else {
+        fitToView();
+      }
+      paintTree();
+
+      return Boolean(root);
+    }
+
+    /**
+     * Find the node drawn for a live node, and make sure it can be seen. If the live node isn't below the current
+     * root, we go back up the stack of re-rooted trees until it is. If it's hidden in a collapsed node, every
+     * ancestor between it and the collapsed node is expanded.
+     *
+     * Some live nodes are never drawn (text nodes without the textNodes option, or anything nodeFilter leaves out),
+     * so we settle for their closest ancestor that is.
+     *
+     * @param {Node} liveNode - live node on the page
+     * @return {Object} dom-like node drawn for it (or its closest drawn ancestor), or null if it isn't in any tree
+     */
+    function revealLiveNode(liveNode) {
+      var ancestors = getLiveAncestors(liveNode);
+      var rootIndex;
+
+      var findDrawn = function() {
+        return ancestors.filter(function(ancestor) {
+          return nodesByRef.has(ancestor);
+        })[0];
+      };
+
+      while (ancestors.indexOf(currentTree.__nodeRef) === -1 &&
+        treeStack.length) {
+        goBack();
+      }
+
+      rootIndex = ancestors.indexOf(currentTree.__nodeRef);
+      if (rootIndex === -1) {
+        return null;
+      }
+
+      ancestors = ancestors.slice(0, rootIndex + 1);
+      if (nodesByRef.get(findDrawn()).collapsedCount &&
+        findDrawn() !== liveNode) {
+        ancestors.slice(1, ancestors.indexOf(findDrawn()) + 1).forEach(
+          function(ancestor) {
+            collapsedNodes.delete(ancestor);
+            expandedNodes.add(ancestor);
+          });
+        rebuildTrees();
+      }
+
+      return nodesByRef.get(findDrawn());
+    }
+
+    /**
+     * If a node is off the canvas (because we are zoomed in or panned away), pan so it ends up in the middle.
+     * @param {Object} node - dom-like node from the current tree
+     */
+    function panToNode(node) {
+      var position = layoutModes[geometry.layout].getPosition(node, geometry);
+      var x = position.x * view.scale + view.x;
+      var y = position.y * view.scale + view.y;
+
+      if (x < 0 || x > size.width || y < 0 || y > size.height) {
+        view.x = size.width / 2 - position.x * view.scale;
+        view.y = size.height / 2 - position.y * view.scale;
+      }
+    }
+
+    /**
+     * Start (or stop) picker mode. While it's on, hovering over an element on the page focuses its node on the
+     * canvas, revealing it first if it's hidden (see revealLiveNode). Clicking an element picks it: picker mode
+     * ends, and the click doesn't reach the page, so links and buttons can be picked without setting them off.
+     * Escape ends picker mode without picking anything.
+     *
+     * Only trees built from a live document can be picked from. Elements inside iframes aren't, since their events
+     * stay in their own document.
+     *
+     * @param {Boolean} [enabled] - false to stop picking (default true)
+     * @return {Boolean} whether picker mode is on
+     */
+    function pick(enabled) {
+      var root = (treeStack[0] || currentTree || {}).__nodeRef;
+
+      if (enabled === false) {
+        if (pickerDocument) {
+          stopPicking();
+          notifyPick(null);
+        }
+        return false;
+      }
+
+      // Snapshots and parsed trees have nothing on the page to pick from
+      if (!pickerDocument && root &&
+        typeof root.addEventListener === 'function') {
+        pickerDocument = root.ownerDocument || root;
+        pickerDocument.addEventListener('mouseover', handlePickerMouseOver,
+          true);
+        pickerDocument.addEventListener('click', handlePickerClick, true);
+        pickerDocument.addEventListener('keydown', handlePickerKeyDown, true);
+      }
+
+      return Boolean(pickerDocument);
+    }
+
+    /**
+     * Take picker mode's listeners back off the page.
+     */
+    function stopPicking() {
+      if (!pickerDocument) {
+        return;
+      }
+
+      pickerDocument.removeEventListener('mouseover', handlePickerMouseOver,
+        true);
+      pickerDocument.removeEventListener('click', handlePickerClick, true);
+      pickerDocument.removeEventListener('keydown', handlePickerKeyDown, true);
+      pickerDocument = null;
+    }
+
+    /**
+     * Let whoever created the viewer know that picker mode ended (see options.onPick).
+     * @param {Object} node - dom-like node that was picked, or null if nothing was
+     */
+    function notifyPick(node) {
+      if (currentOptions.onPick) {
+        currentOptions.onPick(node);
+      }
+    }
+
+    /**
+     * The element an event really happened on. Events from inside a shadow root are retargeted to its host by the
+     * time they reach the document, but composedPath() still knows where they started.
+     * @param {Event} event - mouse event on the page
+     * @return {Node} live node, or null for events on our own canvas (or inside options.pickerExclude)
+     */
+    function getPickerTarget(event) {
+      var target = event.composedPath ? event.composedPath()[0] : event.target;
+      var excluded = [canvas, overlay].concat(
+        currentOptions.pickerExclude || []);
+
+      return excluded.some(function(element) {
+        return element && element.contains(target);
+      }) ? null : target;
+    }
+
+    /**
+     * Find the page element the mouse moved onto, and focus it on the canvas.
+     * @param {MouseEvent} event - mouseover event
+     * @return {Object} the focused dom-like node, or null
+     */
+    function handlePickerMouseOver(event) {
+      var target = getPickerTarget(event);
+      var node = target && currentTree && revealLiveNode(target);
 
-    for (i = 0; i < childCount; i++) {
-      childStart = start + (i * width);
+      if (node) {
+        panToNode(node);
+        focusNode(node);
+      }
 
-      child = traverseDomNodes(node.children[i], newNode, childDepth,
-        childStart, childStart + width, docParams);
-      newNode.children.push(child);
+      return node;
     }
 
-    // Nodes have firstChild/lastChild properties too!
-    if (childCount) {
-      newNode.firstElementChild = newNode.children[0];
-      newNode.lastElementChild = newNode.children[childCount - 1];
-    }
+    /**
+     * Clicking an element picks it, and ends picker mode.
+     * @param {MouseEvent} event - click event
+     */
+    function handlePickerClick(event) {
+      var node;
 
-    // Binding relationship between sibling elements
-    newNode.children.forEach(function(child, childIndex) {
-      if (childIndex > 0) {
-        child.previousElementSibling = newNode.children[childIndex - 1];
-      }
-      if (childIndex < childCount - 1) {
-        child.nextElementSibling = newNode.children[childIndex + 1];
+      if (!getPickerTarget(event)) {
+        return;
       }
-    });
 
-    return newNode;
-  }
+      event.preventDefault();
+      event.stopPropagation();
+      node = handlePickerMouseOver(event);
+      stopPicking();
+      notifyPick(node);
+    }
 
-  /**
-   * Create a DOM-like structure. We will be using vanilla objects as our nodes, and making use of a few
-   * DOM functions to traverse between each node.
-   *
-   * @param {Document} myDoc - document we are transforming into a tree
-   * @param {Number} start - canvas starting point
-   * @param {Number} end - canvas ending point
-   * @return {Object} Dom-like Tree
-   */
-  function createDOMLikeObject(myDoc, start, end) {
     /**
-     * The document node, unlike other nodes, stores a reference to ids and certain types of nodes (images, scripts, etc).
+     * Escape ends picker mode without picking anything.
+     * @param {KeyboardEvent} event - keydown event
      */
-    var docParams = {
-
-      body: null, // reference to the <body> element
-      head: null, // reference to the <head> element
-      documentElement: null, // reference to <html>
+    function handlePickerKeyDown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        pick(false);
+      }
+    }
 
-      ids: {},
-      links: [], // <a> and <area> tags
-      images: [], // <img> tags
-      scripts: [], // <scripts>
-      forms: [],
+    /**
+     * Show a node's details in the inspector, if the viewer was given an element to show them in
+     * (options.inspector). See renderInspector.
+     * @param {Object} node - dom-like node, or null to empty the inspector
+     */
+    function inspect(node) {
+      if (currentOptions.inspector) {
+        renderInspector(currentOptions.inspector, node);
+      }
+    }
 
-      // Rendering helpers :)
-      largestDepth: 0
-    };
+    /**
+     * Give the keyboard focus to a node: draw a ring around it, highlight it on the page and announce it. The live
+     * region goes into the canvas' own document, which may not be the global one (the canvas can be in a frame).
+     * A canvas that isn't in a document with a body (outside of a browser, say) has nobody to announce it to.
+     * @param {Object} node - dom-like node
+     */
+    function focusNode(node) {
+      var doc = canvas.ownerDocument;
 
-    var newDocument = traverseDomNodes(myDoc, null, 0, start, end, docParams);
-    var augmentedDoc = Object.assign({}, newDocument, docParams);
-    return augmentedDoc;
-  }
+      focusedNode = node;
+      stylesChanged();
+      highlightPageNode(node.__nodeRef);
+      inspect(node);
 
-  /**
-   * Recursively travel down the dom-like tree, rendering each node as we go.
-   * @param {CanvasRenderingContext2D} ctx - ctx for rendering a canvas
-   * @param {Element} node - Node that we are drawing
-   * @param {Number} height - Height of the current node.
-   */
-  function drawNodes(ctx, node, height) {
-    var tagName = node.tagName;
-    var x = (node.start + (node.end - node.start) / 2);
-    var y = node.depth * height + 20;
+      if (!liveRegion && doc && doc.body) {
+        liveRegion = doc.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.style.cssText = screenReaderOnlyCSSText;
+        doc.body.appendChild(liveRegion);
+      }
 
-    var firstChild = node.firstElementChild;
-    var lastChild = node.lastElementChild;
-    var firstX;
-    var firstY;
-    var lastX;
-    var lastY;
-    var fill;
+      if (liveRegion) {
+        liveRegion.textContent = describeNode(node);
+      }
+    }
 
     /**
-     * Drawing the lines between sibling elements.
-     * For us, that just means draw a line from the first to last child elements.
+     * When the canvas gets focus (by tabbing to it, for instance), start at the root of the tree.
      */
-    if (firstChild && firstChild !== lastChild) {
-      firstX = (firstChild.start + (firstChild.end - firstChild.start) / 2);
-      firstY = firstChild.depth * height + 20;
-
-      lastX = (lastChild.start + (lastChild.end - lastChild.start) / 2);
-      lastY = lastChild.depth * height + 20;
-
-      ctx.beginPath();
-      ctx.moveTo(firstX, firstY);
-      ctx.lineTo(lastX, lastY);
-      ctx.stroke();
-      ctx.closePath();
+    function handleCanvasFocus() {
+      if (currentTree && !focusedNode) {
+        focusNode(currentTree);
+      }
     }
 
     /**
-     * Important Note: We recreated the dom using objects and arrays.
-     * Element.children actually returns a live HTMLCollection, which does not have access to
-     * array functions like forEach, map, reduce, etc.
+     * Keyboard navigation:
+     *  arrow keys - move to the parent, first child, or previous/next sibling (see keyboardMoveMap)
+     *  Enter - re-root the tree at the focused node
+     *  Backspace - go back to the previous tree
+     *  Space - collapse or expand the focused node
      *
-     * https://developer.mozilla.org/en-US/docs/Web/API/ParentNode/children
+     * @param {KeyboardEvent} event - keydown event
      */
-    node.children.forEach(function(child) {
-      // Draw a line from our current node, to each of its children
-      var childX = (child.start + (child.end - child.start) / 2);
-      var childY = child.depth * height + 20;
+    function handleCanvasKeyDown(event) {
+      var key = event.key;
+      var target;
 
-      ctx.beginPath();
-      ctx.moveTo(x, y);
-      ctx.lineTo(childX, childY);
-      ctx.stroke();
-      ctx.closePath();
+      if (!currentTree) {
+        return;
+      }
 
-      drawNodes(ctx, child, height);
-    });
+      if (keyboardMoveMap[key]) {
+        target = focusedNode ? focusedNode[keyboardMoveMap[key]] : currentTree;
+        if (target) {
+          focusNode(target);
+        }
+      } else if (key === 'Enter' && focusedNode) {
+        reroot(focusedNode);
+        focusNode(currentTree);
+      } else if (key === 'Backspace') {
+        goBack();
+        if (focusedNode) {
+          focusNode(focusedNode);
+        }
+      } else if (key === ' ' && focusedNode) {
+        toggleCollapsed(focusedNode);
+      } else {
+        return;
+      }
 
-    fill = nodeColorMap[tagName] ? nodeColorMap[tagName] : nodeColorMap.default;
-    ctx.beginPath();
-    ctx.fillStyle = fill;
-    ctx.arc(x, y, radius, startAngle, endAngle, false);
-    ctx.fill();
+      // The arrow keys and Space would scroll the page, and Backspace used to navigate back in some browsers.
+      event.preventDefault();
+    }
 
     /**
-     * Displaying the tagNames of all the nodes would look terrible, but its nice to point out
-     * some of the core tagNames (html, body, head)
+     * Scrolling the mouse wheel zooms in or out, keeping whatever is under the cursor in the same spot.
+     *
+     * To do that, we find the tree point under the cursor before zooming, and then move the offset so that same
+     * point ends up back under the cursor after zooming.
+     *
+     * @param {WheelEvent} event - wheel event
      */
-    if (nodesWithVisibleTags[tagName]) {
-      ctx.fillStyle = '#000';
-      ctx.fillText(node.tagName, x + 5, y - 5);
-    }
-  }
+    function handleCanvasWheel(event) {
+      var point = toTreePoint(event.offsetX, event.offsetY);
+      var scale = event.deltaY < 0 ?
+        view.scale * zoomStep :
+        view.scale / zoomStep;
 
-  /**
-   * Recursively travel down the DOM tree, comparing the current node with the x=y coordinates of
-   * the last click or hover event.
-   * @param {Element} node - Current element we are looking at
-   * @param {Number} x - x-coordinate
-   * @param {NUmber} y - y-coordinate
-   * @return {Node} node - node that is in our "click" region
-   */
-  function searchForNodeWithXY(node, x, y) {
-    var vCenter = (node.start + (node.end - node.start) / 2);
-    var hCenter = node.depth * cellHeight + 20;
-    var isInX = x >= vCenter - radius && x <= vCenter + radius;
-    var isInY = y >= hCenter - radius && y <= hCenter + radius;
-    var isInNode = (isInX && isInY);
-    var child;
-    var i;
+      // Without this, the page would scroll along with the zoom.
+      event.preventDefault();
 
-    if (isInNode) {
-      return node;
+      view.scale = Math.min(maxScale, Math.max(minScale, scale));
+      view.x = event.offsetX - point.x * view.scale;
+      view.y = event.offsetY - point.y * view.scale;
+      paintTree();
     }
 
-    for (i = 0; i < node.childElementCount; i++) {
-      child = node.children[i];
-
-      /**
-       * Each child will have a smaller (or equal) range to its parent. These ranges do not intersect.
-       * In the event we found a child whose range includes our "x", lets return a search through that child,
-       * since its a better candidate than the other nodes.
-       */
-      if (x > child.start && x < child.end) {
-        return searchForNodeWithXY(child, x, y);
-      }
+    /**
+     * Start tracking a possible drag. It only turns into a pan once the mouse has moved a few pixels, so a slightly
+     * shaky click doesn't move the tree.
+     * @param {MouseEvent} event - mousedown event
+     */
+    function handleCanvasMouseDown(event) {
+      dragStart = {
+        offsetX: event.offsetX,
+        offsetY: event.offsetY,
+        viewX: view.x,
+        viewY: view.y
+      };
+      wasDragged = false;
     }
 
-    return null;
-  }
-
-  /**
-   * Because canvas is a 2-dimentional block, it doesn't store reference to what "element" or "shapes" we click on.
-   * Instead, we need to figure that ourselves. In our case, we traverse down the tree until we find the node that
-   * we were trying to click on.
-   *
-   * @param {MouseEvent} event - some browsers will include a global event, but its always safer to declare it yourself.
-   * For instance, last time I checked FireFox doesn't give you a freebee event object
-   */
-  function handleCanvasClick(event) {
-    var x = event.offsetX;
-    var y = event.offsetY;
-    var canvas = ctx.canvas;
-    var found;
-    var domLike;
-
     /**
-     * We're using a stack (actually just an array we are treating like a stack)
-     * If the user clicks the top-left corner, we can assume they were trying to go backwards up the stack.
+     * While the mouse button is held down, move the tree along with the mouse. Otherwise, highlight whatever the
+     * mouse is hovering over.
      *
-     * If they don't then we should find the node they were trying to click on, and push the previous tree into the stack.
+     * This is an example of a simple debounce.  We don't care about all the things your mouse is hovering on top
+     * of, what we really care about is where the mouse stops on.
+     *
+     * @param {MouseEvent} event - mousemove event
      */
-    if (x < 20 && y < 20 && treeStack.length) {
-      domLike = treeStack.pop();
-    } else {
-      found = searchForNodeWithXY(currentTree, x, y);
+    function handleCanvasMouseMove(event) {
+      if (!dragStart) {
+        clearTimeout(hoverDebounce);
+        hoverDebounce = setTimeout(function() {
+          handleCurrentDocumentMouseMove(event);
+        }, 10);
+        return;
+      }
 
-      if (!found) {
+      var dx = event.offsetX - dragStart.offsetX;
+      var dy = event.offsetY - dragStart.offsetY;
+
+      if (!wasDragged && Math.abs(dx) < 3 && Math.abs(dy) < 3) {
         return;
       }
 
-      domLike = createDOMLikeObject(found, 0, canvas.width);
-      treeStack.push(currentTree);
+      wasDragged = true;
+      view.x = dragStart.viewX + dx;
+      view.y = dragStart.viewY + dy;
+      paintTree();
     }
 
-    currentTree = domLike;
-
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = '#fff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    /**
+     * Letting go of the mouse button (or leaving the canvas) ends the drag.
+     */
+    function handleCanvasMouseUp() {
+      dragStart = null;
+    }
 
     /**
-     * If our stack has any nodes in them, then we should display an arrow to indicate the user can go backward.
+     * Once the mouse leaves the canvas, nothing is hovered anymore, so the inspector goes back to the selected
+     * (focused) node.
      */
-    if (treeStack.length) {
-      ctx.fillStyle = '#000';
-      ctx.beginPath();
-      ctx.moveTo(10, 10);
-      ctx.lineTo(20, 5);
-      ctx.lineTo(20, 15);
-      ctx.fill();
+    function handleCanvasMouseLeave() {
+      handleCanvasMouseUp();
+      clearTimeout(hoverDebounce);
+      clearHoverLabel();
+      inspect(focusedNode);
     }
 
-    cellHeight = canvas.height / (domLike.largestDepth + 1);
-    drawNodes(ctx, domLike, cellHeight);
-  }
+    /**
+     * If the user hovers over a node on the canvas, we want to reflect what they are hovering over
+     * by "highlighting" that node on the current document.
+     * @param {MouseEvent} event - Mouse move event
+     */
+    function handleCurrentDocumentMouseMove(event) {
+      // While panning, the tree is moving under the mouse, so there is nothing worth highlighting.
+      if (wasDragged || !currentTree) {
+        return;
+      }
 
-  /**
-   * If the user hovers over a node on the canvas, we want to reflect what they are hovering over
-   * by "highlighting" that node on the current document.
-   * @param {MouseEvent} event - Mouse move event
-   */
-  function handleCurrentDocumentMouseMove(event) {
-    var x = event.offsetX;
-    var y = event.offsetY;
-    var foundNode = searchForNodeWithXY(currentTree, x, y);
-    var nodeText;
-    var foundX;
-    var foundY;
+      var point = toTreePoint(event.offsetX, event.offsetY);
+      var foundNode = findNodeAt(point.x, point.y);
 
-    if (!foundNode) {
-      return;
+      // Moving around inside the same node doesn't change anything
+      if (!foundNode || foundNode === hoveredNode) {
+        return;
+      }
+
+      drawHoverLabel(foundNode);
+      hoveredNode = foundNode;
+      highlightPageNode(foundNode.__nodeRef);
+      inspect(foundNode);
     }
 
     /**
-     * If we are hovering over a node, clear the canvas, redraw it, and render some text that describes that node.
-     * The reason we need to clear the canvas is to reset any previous instances of node text descriptions.
+     * The overlay is a second, transparent canvas, with the same size and position as ours. It doesn't take any
+     * mouse events (pointer-events: none), so they still go to the canvas underneath. It's only made once we have
+     * something to draw on it, and only if we're drawing onto the canvas ourselves: a custom renderer (see
+     * options.renderer) gets the labels drawn over the tree instead.
      *
-     * For now, the text is of the form:  TAGNAME#id
+     * The canvas can move around the page, so the overlay is put back on top of it every time it's used.
+     *
+     * @return {Object} renderer for the overlay, or null if there isn't one
      */
-    if (foundNode.tagName) {
-      createDOMLikeObject(currentTree.__nodeRef, 0, ctx.canvas.width);
-      drawDOM(ctx.canvas, currentTree);
-      nodeText = [
-        foundNode.tagName,
-        (foundNode.id ? '#' + foundNode.id : '')
-      ].join('');
-
-      ctx.fillStyle = '#000';
-      foundX = foundNode.start + (foundNode.end - foundNode.start) / 2;
-      foundY = foundNode.depth * currentTreeHeight + 20;
-      ctx.fillText(nodeText, foundX + 5, foundY - 5);
-    }
+    function getOverlayRenderer() {
+      var rect;
+      var canvasStyle;
 
-    var domNode = foundNode.__nodeRef;
-    var domNodeStyle = domNode.style;
+      if (currentOptions.renderer || !canvas.parentNode) {
+        return null;
+      }
 
-    if (currentHoveredNode) {
-      currentHoveredNode.style.backgroundColor = previousNodeBackgroundColor;
-    }
+      if (!overlay) {
+        overlay = canvas.ownerDocument.createElement('canvas');
+        overlay.setAttribute('aria-hidden', 'true');
+        canvas.parentNode.insertBefore(overlay, canvas.nextSibling);
+        overlayRenderer = createCanvasRenderer(overlay.getContext('2d'));
+      }
 
-    if (domNodeStyle) {
-      previousNodeBackgroundColor = domNodeStyle.backgroundColor;
-      domNodeStyle.backgroundColor = 'rgba(255, 255,0, 0.4)';
-      currentHoveredNode = domNode;
-    }
-  }
+      rect = canvas.getBoundingClientRect();
+      canvasStyle = canvas.ownerDocument.defaultView.getComputedStyle(canvas);
+      overlay.width = canvas.width;
+      overlay.height = canvas.height;
+      overlay.style.cssText = [
+        'position: fixed',
+        'pointer-events: none',
+        'left: ' + (rect.left + canvas.clientLeft) + 'px',
+        'top: ' + (rect.top + canvas.clientTop) + 'px',
+        'width: ' + canvas.clientWidth + 'px',
+        'height: ' + canvas.clientHeight + 'px',
+        'z-index: ' + canvasStyle.zIndex
+      ].join(';');
 
-  /**
-   * Given a canvas and a HTMLDocument, render nodes onto our canvas
-   * @param {Element} canvas - Canvas that we are rendering a tree onto
-   * @param {Document} myDocument - Document that we want to render into a tree
-   */
-  function drawDOM(canvas, myDocument) {
-    if (!myDocument instanceof HTMLDocument) {
-      // If the response is not an instanceOf an HTMLDocument, then we should short-circuit the render process
-      return;
+      return overlayRenderer;
     }
 
     /**
-     * The CanvasRenderingContext2D interface provides the 2D rendering context for the drawing surface of a
-     * <canvas> element. It provides a set of functions that allow us to draw/manipulate a canvas board.
+     * Label the hovered node, with text of the form TAGNAME#id (see getNodeLabel). On the overlay, the previous
+     * label just gets erased, and the tree doesn't need to be drawn again.
      *
-     * https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D
+     * The label is placed like the ones on the tree (see placeLabels), so it doesn't run off the edge of the canvas.
+     * Unlike those, it's only cut short if it's wider than the whole canvas.
+     * @param {Object} node - dom-like node
      */
-    ctx = canvas.getContext('2d');
+    function drawHoverLabel(node) {
+      var labelRenderer = getOverlayRenderer();
+      var nodeText = getNodeLabel(node);
+      var layout = layoutModes[geometry.layout];
+      var maxLength;
+      var position;
+      var box;
 
-    var domLike = createDOMLikeObject(myDocument, 0, canvas.width);
-    currentTree = domLike;
-    cellHeight = canvas.height / (domLike.largestDepth + 1);
-    currentTreeHeight = cellHeight;
+      if (labelRenderer) {
+        setView(labelRenderer, 1, 0, 0);
+        labelRenderer.erase(size.width, size.height);
+      } else {
+        paintTree();
+        labelRenderer = renderer;
+      }
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = '#fff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+      if (!nodeText) {
+        return;
+      }
 
-    ctx.strokeStyle = '#ccc';
-    drawNodes(ctx, domLike, cellHeight);
+      maxLength = Math.floor(size.width / labelCharWidth);
+      if (nodeText.length > maxLength) {
+        nodeText = nodeText.slice(0, Math.max(maxLength - 1, 0)) + '\u2026';
+      }
 
-    if (treeStack.length) {
-      ctx.fillStyle = '#000';
-      ctx.beginPath();
-      ctx.moveTo(10, 10);
-      ctx.lineTo(20, 5);
-      ctx.lineTo(20, 15);
-      ctx.fill();
+      position = layout.getPosition(node, geometry);
+      box = createLabelPlacer(size).place({
+        x: position.x * view.scale + view.x,
+        y: position.y * view.scale + view.y
+      }, nodeText.length * labelCharWidth, layout.labelOffsets, true);
+      labelRenderer.label(nodeText, {x: box.x, y: box.y}, '#000');
     }
 
     /**
-     * Interesting detail about listeners: if you assign two duplicate eventHandlers to an event, then only one
-     * will get triggered.  "drawDOM()" can get called multiple times, all the user needs to do is enter a different
-     * url in the app.js file. BUT, because "handleCanvasClick" is already defined, we are NOT regisering multiple
-     * click events.
+     * Erase the hover label, if there is one on the overlay. Without an overlay, the next paintTree() takes care of
+     * it.
      */
-    canvas.addEventListener('click', handleCanvasClick);
-
-    var canvasDebounce;
-    canvas.addEventListener('mousemove', function(event) {
-      if (canvasDebounce) {
-        clearTimeout(canvasDebounce);
+    function clearHoverLabel() {
+      hoveredNode = null;
+      if (overlayRenderer) {
+        setView(overlayRenderer, 1, 0, 0);
+        overlayRenderer.erase(size.width, size.height);
       }
+    }
+
+    listeners.forEach(function(listener) {
+      canvas.addEventListener(listener[0], listener[1]);
+    });
 
-      canvasDebounce = setTimeout(function() {
-        handleCurrentDocumentMouseMove(event);
-      }, 10);
+    Object.keys(canvasAttributes).forEach(function(name) {
+      previousCanvasAttributes[name] = canvas.getAttribute(name);
+      canvas.setAttribute(name, canvasAttributes[name]);
     });
+
+    setCanvasSize(size.width, size.height);
+    canvasViewers.set(canvas, viewer);
+
+    return viewer;
+  }
+
+  /**
+   * Given a canvas and a HTMLDocument, render nodes onto our canvas.
+   *
+   * The first call for a canvas creates a viewer for it (see createViewer). Every call after that reuses the same
+   * viewer, so calling drawDOM() over and over doesn't pile up event listeners.
+   *
+   * @param {Element} canvas - Canvas that we are rendering a tree onto
+   * @param {Document} myDocument - Document that we want to render into a tree
+   * @param {Object} [options] - traversal options, see createDOMLikeObject. Redraws reuse the last options given.
+   * @return {Object} the canvas' viewer
+   */
+  function drawDOM(canvas, myDocument, options) {
+    if (!myDocument) {
+      // Any document, element or dom-like tree (even one from parseHTML) can be walked, but nothing can't
+      return null;
+    }
+
+    var viewer = canvasViewers.get(canvas) || createViewer(canvas, options);
+    viewer.render(myDocument, options);
+    return viewer;
+  }
+
+  /**
+   * Reset the zoom and pan of a canvas drawn with drawDOM().
+   * @param {Element} canvas - Canvas that we rendered a tree onto
+   */
+  function fitToView(canvas) {
+    var viewer = canvasViewers.get(canvas);
+    if (viewer) {
+      viewer.fitToView();
+    }
   }
 
   /**
    * Render the current page's document tree onto a canvas.
    * @param {Number} width - size of canvas
    * @param {Number} height - size of canvas
+   * @param {Object} [options] - traversal options, see createDOMLikeObject. Turn on options.timeline to record
+   * every mutation, and get a slider to replay them (see renderTimeline). Pass options.viewState (from the Copy
+   * view button, see getViewState) to open a view someone else shared.
+   * @return {Object} viewer for the canvas, see createViewer
    */
-  function renderCurrentDOM(width, height) {
+  function renderCurrentDOM(width, height, options) {
     /**
      * If there is no global document or document.createElement, this function is going to crash and burn.
      * So I am adding a safety check and exiting early if that happens.
      */
-    if (!document || !document.createElement) {
-      return;
+    if (typeof document === 'undefined' || !document.createElement) {
+      return null;
     }
 
     width = width || 400;
@@ -565,6 +6899,16 @@ var domToCanvas = (function(domToCanvasOpts) {
      */
     var documentFragment = document.createDocumentFragment();
 
+    /**
+     * Everything lives in one floating panel: a header to drag it around by (with the close button), the canvas,
+     * and the tools under it. The panel can be resized from its bottom-right corner (resize: both), and the canvas
+     * follows along (see the autoFit option), so the tree is laid out again for the new size.
+     */
+    var panel = document.createElement('div');
+    var header = document.createElement('div');
+    var canvasDiv = document.createElement('div');
+    var toolsDiv = document.createElement('div');
+
     /**
      * To create dom element with text in it, we have to first create the dom element, then we need to create
      * a "text node", and append that text node to the dom element.
@@ -580,22 +6924,31 @@ var domToCanvas = (function(domToCanvasOpts) {
      *
      * But, if the number of strings being concat is small, then it makes more sense to "+" the strings together.
      */
-    var canvasCSSText = [
+    var panelCSSText = [
       'background: rgba(255,255,255,0.8)',
       'border: 1px solid #ccc',
-      'cursor: pointer',
+      'display: flex',
+      'flex-direction: column',
+      'font: 11px sans-serif',
+      'min-height: 100px',
+      'min-width: 150px',
+      'overflow: hidden',
       'position: fixed',
+      'resize: both',
       'top: 5px',
       'right: 5px',
+      'width: ' + width + 'px',
       'z-index: 999999'
     ].join(';');
 
-    var closeDivCSSText = [
-      'position:fixed',
-      'right: 10px',
-      'top: 10px',
-      'z-index:9999999',
-      'cursor:pointer'
+    var headerCSSText = [
+      'background: #eee',
+      'border-bottom: 1px solid #ccc',
+      'cursor: move',
+      'display: flex',
+      'justify-content: space-between',
+      'padding: 2px 5px',
+      'user-select: none'
     ].join(';');
 
     /**
@@ -605,102 +6958,339 @@ var domToCanvas = (function(domToCanvasOpts) {
      * style.cssText -  allows you to add a series of styles in a single string
      * style.background - you can set individual styles directly.
      */
-    canvas.style.cssText = canvasCSSText;
-    closeDiv.style.cssText = closeDivCSSText;
+    panel.style.cssText = panelCSSText;
+    header.style.cssText = headerCSSText;
+    closeDiv.style.cursor = 'pointer';
+    canvasDiv.style.cssText = 'flex: 1; min-height: 0; overflow: hidden';
+    canvas.style.cssText = 'cursor: pointer; display: block';
+    toolsDiv.style.cssText = 'background: #fff; border-top: 1px solid #ccc';
 
     /**
      * Even if you set the css height and width of the canvas, what actually gets rendered will look
-     * disproportionate and stretched.
+     * disproportionate and stretched. The viewer takes care of that, including on high-DPI screens, where the
+     * canvas needs more pixels than its CSS size (see the viewer's resize).
      */
     canvas.setAttribute('width', width);
     canvas.setAttribute('height', height);
 
-    // We want to draw the DOM First, before appending the canvas to the document.body
-    drawDOM(canvas, document);
+    header.appendChild(document.createTextNode('DOM tree'));
+    header.appendChild(closeDiv);
+    canvasDiv.appendChild(canvas);
+    makeDraggable(panel, header);
+
+    /**
+     * We want to draw the DOM First, before appending the canvas to the document.body
+     *
+     * With the timeline turned on, the recorder tells the viewer when to update, so the viewer doesn't need to
+     * watch the document itself.
+     */
+    options = options || {};
+    var inspectorDiv = document.createElement('div');
+    inspectorDiv.style.cssText = 'max-height: 200px; overflow: auto';
+
+    var breadcrumbsNav = document.createElement('nav');
+    breadcrumbsNav.setAttribute('aria-label', 'Breadcrumbs');
+
+    // The pick button stays pressed for as long as picker mode is on.
+    var pickButton = document.createElement('button');
+    pickButton.textContent = 'Pick an element';
+    pickButton.setAttribute('aria-pressed', 'false');
+
+    var viewer = createViewer(canvas, Object.assign({}, options, {
+      watch: !options.timeline,
+      autoFit: true,
+      inspector: inspectorDiv,
+      breadcrumbs: breadcrumbsNav,
+      pickerExclude: [panel],
+      onPick: function(node) {
+        pickButton.setAttribute('aria-pressed', 'false');
+        if (options.onPick) {
+          options.onPick(node);
+        }
+      }
+    }));
+    viewer.render(document);
+    if (options.viewState) {
+      viewer.setViewState(options.viewState);
+    }
+
+    pickButton.addEventListener('click', function() {
+      var isPicking = pickButton.getAttribute('aria-pressed') === 'true';
+      pickButton.setAttribute('aria-pressed', String(viewer.pick(!isPicking)));
+    });
+
+    // Copies the view state, to share the exact same view with someone else
+    var copyViewButton = document.createElement('button');
+    copyViewButton.type = 'button';
+    copyViewButton.textContent = 'Copy view';
+    copyViewButton.addEventListener('click', function() {
+      copyText(document, viewer.getViewState());
+    });
+
+    /**
+     * The tools under the canvas are the breadcrumbs, the search box, the pick and copy view buttons, the timeline
+     * if there is one, and the inspector for the hovered (or selected) node.
+     */
+    toolsDiv.appendChild(breadcrumbsNav);
+    renderSearchBox(viewer, toolsDiv);
+    toolsDiv.appendChild(pickButton);
+    toolsDiv.appendChild(copyViewButton);
+
+    panel.appendChild(header);
+    panel.appendChild(canvasDiv);
+    panel.appendChild(toolsDiv);
 
     /**
      * After we append the contents of the documentFragment into an element, the documentFragment then empties out.
      */
-    documentFragment.appendChild(closeDiv);
-    documentFragment.appendChild(canvas);
+    documentFragment.appendChild(panel);
 
-    // documentFragment.children.length === 2;
+    // documentFragment.children.length === 1;
     document.body.appendChild(documentFragment);
     // documentFragment.children.length === 0;
 
     /**
-     * This is an example of a simple debounce.  We don't care about all the things your mouse is hovering on top of,
-     * what we really care about is where the mouse stops on.
+     * Closing tears down the viewer, which disconnects its MutationObserver and ResizeObserver, removes its
+     * listeners, and takes the highlight off the page.
      */
-    var canvasDebounce;
-    canvas.addEventListener('mousemove', function(event) {
-      if (canvasDebounce) {
-        clearTimeout(canvasDebounce);
+    closeDiv.addEventListener('click', function() {
+      document.body.removeChild(panel);
+      viewer.destroy();
+    });
+
+    if (options.timeline) {
+      renderTimeline(viewer, panel, toolsDiv, closeDiv, options);
+    }
+
+    toolsDiv.appendChild(inspectorDiv);
+
+    return viewer;
+  }
+
+  /**
+   * Let a fixed position element be dragged around by a handle (like a title bar). It starts out positioned from
+   * the right, so the first drag switches it over to left and top. The handle is kept on the screen, so it can
+   * always be grabbed again.
+   *
+   * @param {Element} element - fixed position element to move
+   * @param {Element} handle - the part of it to drag by
+   */
+  function makeDraggable(element, handle) {
+    var doc = element.ownerDocument;
+    var start;
+
+    var handleMouseMove = function(event) {
+      var maxLeft = doc.documentElement.clientWidth - handle.offsetWidth;
+      var maxTop = doc.documentElement.clientHeight - handle.offsetHeight;
+
+      element.style.right = '';
+      element.style.left = Math.max(0, Math.min(maxLeft,
+        start.left + event.clientX - start.x)) + 'px';
+      element.style.top = Math.max(0, Math.min(maxTop,
+        start.top + event.clientY - start.y)) + 'px';
+    };
+
+    var handleMouseUp = function() {
+      doc.removeEventListener('mousemove', handleMouseMove);
+      doc.removeEventListener('mouseup', handleMouseUp);
+    };
+
+    handle.addEventListener('mousedown', function(event) {
+      var rect = element.getBoundingClientRect();
+
+      // Only the main button drags, and the close button is still just a button
+      if (event.button !== 0 || event.target !== handle) {
+        return;
       }
 
-      canvasDebounce = setTimeout(function() {
-        handleCurrentDocumentMouseMove(event);
-      }, 10);
+      start = {x: event.clientX, y: event.clientY, left: rect.left,
+        top: rect.top};
+      doc.addEventListener('mousemove', handleMouseMove);
+      doc.addEventListener('mouseup', handleMouseUp);
+
+      // Otherwise, dragging selects the text all over the page
+      event.preventDefault();
     });
+  }
 
-    closeDiv.addEventListener('click', function() {
-      document.body.removeChild(closeDiv);
-      document.body.removeChild(canvas);
+  /**
+   * Add a search box to the panel under the canvas. Typing a CSS selector highlights the matching nodes, and shows
+   * how many there are. While the selector is invalid (which it is for most of the time it's being typed), the box
+   * gets a red border and the last valid search stays on the canvas.
+   *
+   * @param {Object} viewer - viewer for the canvas the tree is drawn onto
+   * @param {Element} toolsDiv - the panel under the canvas, which the search box goes into
+   */
+  function renderSearchBox(viewer, toolsDiv) {
+    var searchDiv = document.createElement('div');
+    var searchInput = document.createElement('input');
+    var countText = document.createElement('span');
+
+    searchInput.type = 'search';
+    searchInput.placeholder = 'CSS selector';
+    searchInput.setAttribute('aria-label', 'Search the tree by CSS selector');
+    searchInput.style.cssText = 'width: 70%; border: 1px solid #ccc';
+    countText.style.cssText = 'margin-left: 5px';
 
-      // If we did have a "hovered" style, revert it back to its original background
-      if (currentHoveredNode) {
-        currentHoveredNode.style.backgroundColor = previousNodeBackgroundColor;
+    searchDiv.appendChild(searchInput);
+    searchDiv.appendChild(countText);
+    toolsDiv.appendChild(searchDiv);
+
+    searchInput.addEventListener('input', function() {
+      var count;
+
+      try {
+        count = viewer.search(searchInput.value.trim());
+      } catch (error) {
+        searchInput.style.borderColor = '#FF4136';
+        countText.textContent = '';
+        return;
       }
+
+      searchInput.style.borderColor = '#ccc';
+      countText.textContent = searchInput.value.trim() ?
+        count + (count === 1 ? ' match' : ' matches') : '';
     });
+  }
+
+  /**
+   * Record every mutation on the page, and add a timeline slider under the canvas to replay them.
+   *
+   * While the slider is all the way to the right, the canvas follows the live page like it normally would. Dragging
+   * it back shows what the page looked like after each step, with a ring around the nodes that step touched.
+   *
+   * @param {Object} viewer - viewer for the canvas the tree is drawn onto
+   * @param {Element} panel - the floating panel, whose changes are left out of the recording
+   * @param {Element} toolsDiv - the tools under the canvas, which the timeline goes into
+   * @param {Element} closeDiv - the close button, which also needs to stop the recording
+   * @param {Object} options - traversal options for the tree of each step
+   */
+  function renderTimeline(viewer, panel, toolsDiv, closeDiv, options) {
+    var timelineDiv = document.createElement('div');
+    var slider = document.createElement('input');
+    var stepText = document.createElement('div');
+    var recorder;
+
+    slider.type = 'range';
+    slider.min = 0;
+    slider.max = 0;
+    slider.value = 0;
+    slider.style.cssText = 'display: block; width: 100%; margin: 0';
+
+    timelineDiv.appendChild(slider);
+    timelineDiv.appendChild(stepText);
+    toolsDiv.appendChild(timelineDiv);
 
     /**
-     * And now, to be extra fancy, we're going to use an observer to watch the
-     * document for changes.
-     *
-     * More info: https://developer.mozilla.org/en-US/docs/Web/API/MutationObserver
-     * https://developers.google.com/web/updates/2012/02/Detect-DOM-changes-with-Mutation-Observers
+     * Our own elements, and the ones the viewer adds to the page (see ownsNode).
+     * @param {Node} node - live node
+     * @return {Boolean} true if the node is one of ours
      */
+    var isOwnNode = function(node) {
+      return panel.contains(node) || viewer.ownsNode(node);
+    };
 
-    var observer = new MutationObserver(function() {
-      /**
-       * Update all the previous instances of the treestack, rebuilding out DOMLikeObjects with new dimentions to
-       * account for the added/removed nodes.
-       */
+    /**
+     * Leave out the changes we make ourselves, to our own elements.
+     * @param {MutationRecord} record - record from the MutationObserver
+     * @return {Boolean} true if the record should be ignored
+     */
+    var ignore = function(record) {
+      return panel.contains(record.target) || isMutationOf(record, isOwnNode);
+    };
 
-      treeStack = treeStack.map(function(tree) {
-        return createDOMLikeObject(tree.__nodeRef, 0, canvas.width);
-      });
+    var recorderOptions = Object.assign({}, options, {
+      width: viewer.getSize().width,
+      ignore: ignore,
+      // Like the viewer's own trees, the tree of each step leaves our elements out, so replaying shows the same page
+      nodeFilter: function(node) {
+        if (isOwnNode(node)) {
+          return false;
+        }
+        return options.nodeFilter ? options.nodeFilter(node) : true;
+      },
+      // The steps after the dropped one move down a place, so the slider moves with the step it is showing
+      onDrop: function() {
+        if (Number(slider.value) < Number(slider.max)) {
+          slider.value = Math.max(Number(slider.value) - 1, 0);
+        }
+      },
+      onStep: function(step) {
+        var wasLive = Number(slider.value) === Number(slider.max);
+
+        slider.max = recorder.steps.length - 1;
+
+        if (wasLive) {
+          slider.value = slider.max;
+          stepText.textContent = describeTimelineStep(step);
+          viewer.update();
+          viewer.flashNodes(step.touched);
+        }
+      }
+    });
+
+    recorder = createMutationRecorder(document, recorderOptions);
+
+    slider.addEventListener('input', function() {
+      var step = recorder.steps[Number(slider.value)];
 
       /**
-       * Re-create the tree that is currently displayed, calculating the new height/widths of the children.
+       * Rendering starts over with a fresh stack of re-rooted trees, since the ones we had belong to the live page,
+       * not to the step we are showing.
        */
-      currentTree = createDOMLikeObject(currentTree.__nodeRef, 0, canvas.width);
-      drawDOM(canvas, currentTree);
+      stepText.textContent = describeTimelineStep(step);
+      viewer.render(step.tree);
+      viewer.flashNodes(step.touched);
     });
 
-    /**
-     * These two observerConfigs seem to be enough to catch the node changes that we want.
-     * childList observes changes on the current target (document)'s children, and subtree
-     * observes changes on the target's descendents as well
-     */
-    var observerConfig = {
-      childList: true,
-      subtree: true
-    };
+    closeDiv.addEventListener('click', function() {
+      recorder.stop();
+    });
 
-    observer.observe(document, observerConfig);
+    recorder.start();
+    stepText.textContent = describeTimelineStep(recorder.steps[0]);
   }
 
   if (domToCanvasOpts) {
-    renderCurrentDOM(domToCanvasOpts.width, domToCanvasOpts.height);
+    renderCurrentDOM(domToCanvasOpts.width, domToCanvasOpts.height,
+      domToCanvasOpts);
   }
 
   /**
-   * Expose a drawDOM function, and a createDOMLikeObject function.
+   * Expose a createViewer function, a drawDOM function, an exportSVG function, a fitToView function, a
+   * createDOMLikeObject function, tree stats, a markup audit, a mutation recorder, functions to serialize,
+   * deserialize and diff dom-like trees, functions to query them, functions to parse HTML into a tree and draw it
+   * without a browser, and the renderers to draw it with.
    */
   return {
+    createViewer: createViewer,
     drawDOM: drawDOM,
+    exportSVG: exportSVG,
+    fitToView: fitToView,
     renderCurrentDOM: renderCurrentDOM,
-    createDOMLikeObject: createDOMLikeObject
+    createDOMLikeObject: createDOMLikeObject,
+    createMutationRecorder: createMutationRecorder,
+    diffTrees: diffTrees,
+    serializeTree: serializeTree,
+    deserializeTree: deserializeTree,
+    getNodeDetails: getNodeDetails,
+    getTreeStats: getTreeStats,
+    auditTree: auditTree,
+    getElementById: getElementById,
+    getElementsByTagName: getElementsByTagName,
+    querySelector: querySelector,
+    querySelectorAll: querySelectorAll,
+    matchesSelector: matchesSelector,
+    parseHTML: parseHTML,
+    drawTree: drawTree,
+    createCanvasRenderer: createCanvasRenderer,
+    createRecordingRenderer: createRecordingRenderer
   };
 })(null);
+
+/**
+ * Outside of a browser (in Node, for instance), there's no global to put domToCanvas on, so we export it instead.
+ */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = domToCanvas;
+}
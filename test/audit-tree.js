@@ -0,0 +1,74 @@
+/**
+ * auditTree on parsed markup, the way the docs suggest running it in a build.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+/**
+ * @param {String} markup - HTML markup
+ * @param {Object} [options] - audit options
+ * @return {Array} [rule, path] for each finding
+ */
+function audit(markup, options) {
+  var tree = domToCanvas.parseHTML(markup, {textNodes: true});
+
+  return domToCanvas.auditTree(tree, options).map(function(finding) {
+    return [finding.rule, finding.path];
+  });
+}
+
+test('auditTree finds nothing wrong with correct markup', function() {
+  assert.deepStrictEqual(audit(
+    '<main id="main"><button>Save</button><img src="a.png" alt="A">' +
+    '<a href="/">Home</a><label for="q">Search</label><input id="q">' +
+    '<label>Name <input></label><input type="submit"></main>'), []);
+});
+
+test('auditTree finds each kind of problem, in document order', function() {
+  assert.deepStrictEqual(audit(
+    '<img src="a.png"><a>Home</a><button></button><input>' +
+    '<p onclick="go()">Go</p><form><form><select></select></form>'), [
+      ['missingAlt', 'html > body:nth-child(2) > img:nth-child(1)'],
+      ['missingHref', 'html > body:nth-child(2) > a:nth-child(2)'],
+      ['emptyButton', 'html > body:nth-child(2) > button:nth-child(3)'],
+      ['unlabeledField', 'html > body:nth-child(2) > input:nth-child(4)'],
+      ['inlineEventHandler', 'html > body:nth-child(2) > p:nth-child(5)'],
+      ['unlabeledField',
+        'html > body:nth-child(2) > form:nth-child(6) > select']
+    ]);
+});
+
+test('auditTree accepts buttons named by an attribute or an image',
+  function() {
+    assert.deepStrictEqual(audit('<button aria-label="Close"></button>' +
+      '<button><img src="x.png" alt="Close"></button>'), []);
+  });
+
+test('auditTree skips emptyButton on trees built without text', function() {
+  var tree = domToCanvas.parseHTML('<button>Save</button>');
+
+  assert.deepStrictEqual(domToCanvas.auditTree(tree), []);
+});
+
+test('auditTree gives elements that share an id different paths', function() {
+  assert.deepStrictEqual(audit(
+    '<div id="main"><p id="a">One</p><p id="a">Two</p></div>'), [
+      ['duplicateId', 'html > body:nth-child(2) > div#main > p:nth-child(1)'],
+      ['duplicateId', 'html > body:nth-child(2) > div#main > p:nth-child(2)']
+    ]);
+});
+
+test('auditTree only runs the rules it was asked to', function() {
+  assert.deepStrictEqual(
+    audit('<img src="a.png"><a>Home</a>', {rules: ['missingHref']}),
+    [['missingHref', 'html > body:nth-child(2) > a:nth-child(2)']]);
+});
+
+test('auditTree flags the first node that is too deep', function() {
+  assert.deepStrictEqual(
+    audit('<div><div><div><div></div></div></div></div>', {maxDepth: 4}),
+    [['excessiveDepth', 'html > body:nth-child(2) > div > div > div']]);
+});
@@ -0,0 +1,77 @@
+/**
+ * diffTrees, on parsed trees and snapshots.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+/**
+ * @param {Object} node - node of a merged tree from diffTrees
+ * @param {Array} [results] - gets [label, diff] for the node and every element below it
+ * @return {Array} results, in document order
+ */
+function listDiffs(node, results) {
+  results = results || [];
+
+  if (node.tagName) {
+    results.push([node.tagName + (node.id ? '#' + node.id : ''), node.diff]);
+  }
+  node.childNodes.forEach(function(child) {
+    listDiffs(child, results);
+  });
+
+  return results;
+}
+
+var before = domToCanvas.parseHTML('<ul id="list"><li>One' +
+  '<li class="old">Two</ul><p id="intro">Hi</p><div><span></span></div>' +
+  '<section></section>');
+var after = domToCanvas.parseHTML('<p id="intro">Hi</p><ul id="list">' +
+  '<li>One<li class="new">Two<li>Three</ul><div></div>');
+
+test('diffTrees gives every node of both trees a status', function() {
+  assert.deepStrictEqual(listDiffs(domToCanvas.diffTrees(before, after)), [
+    ['HTML', 'unchanged'],
+    ['HEAD', 'unchanged'],
+    ['BODY', 'unchanged'],
+    ['P#intro', 'moved'],
+    ['UL#list', 'unchanged'],
+    ['LI', 'unchanged'],
+    ['LI', 'changed'],
+    ['LI', 'added'],
+    ['DIV', 'unchanged'],
+    ['SPAN', 'removed'],
+    ['SECTION', 'removed']
+  ]);
+});
+
+test('diffTrees lists the attributes that changed', function() {
+  var merged = domToCanvas.diffTrees(before, after);
+  var changed = merged.querySelectorAll('li')[1];
+
+  assert.deepStrictEqual(changed.diffAttributes,
+    {class: {before: 'old', after: 'new'}});
+  assert.strictEqual(merged.querySelector('li').diffAttributes, undefined);
+});
+
+test('diffTrees compares snapshots like live trees', function() {
+  var snapshot = domToCanvas.deserializeTree(
+    domToCanvas.serializeTree(before));
+
+  assert.deepStrictEqual(listDiffs(domToCanvas.diffTrees(snapshot, after)),
+    listDiffs(domToCanvas.diffTrees(before, after)));
+});
+
+test('diffTrees finds nothing between a tree and itself', function() {
+  var statuses = listDiffs(domToCanvas.diffTrees(before, before)).map(
+    function(entry) {
+      return entry[1];
+    });
+
+  assert.ok(statuses.length);
+  assert.ok(statuses.every(function(status) {
+    return status === 'unchanged';
+  }));
+});
@@ -0,0 +1,86 @@
+/**
+ * parseHTML should build the same tree a browser builds out of the same markup, so these tests compare the shape
+ * of parsed trees against what a browser makes of it.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+/**
+ * Write the elements below a node out as a string, like 'UL(LI,LI)', so that a whole tree fits in one assertion.
+ *
+ * @param {Object} node - dom-like node
+ * @return {String} the node's name, followed by its children in parentheses
+ */
+function describeTree(node) {
+  var children = node.children.map(describeTree);
+
+  if (!children.length) {
+    return node.nodeName;
+  }
+  return node.nodeName + '(' + children.join(',') + ')';
+}
+
+/**
+ * @param {String} markup - HTML markup
+ * @return {String} the shape of the parsed body, see describeTree
+ */
+function parseBody(markup) {
+  return describeTree(domToCanvas.parseHTML(markup).body);
+}
+
+test('parseHTML fills in missing html, head and body elements', function() {
+  var tree = domToCanvas.parseHTML('<title>Hi</title><p>Hello');
+
+  assert.strictEqual(describeTree(tree),
+    '#document(HTML(HEAD(TITLE),BODY(P)))');
+});
+
+test('parseHTML closes elements whose end tag was left out', function() {
+  assert.strictEqual(parseBody('<p>One<p>Two'), 'BODY(P,P)');
+  assert.strictEqual(parseBody('<ul><li>One<li>Two</ul>'), 'BODY(UL(LI,LI))');
+  assert.strictEqual(parseBody('<dl><dt>A<dd>B<dt>C</dl>'),
+    'BODY(DL(DT,DD,DT))');
+  assert.strictEqual(
+    parseBody('<table><tbody><tr><td>A<td>B<tr><td>C</table>'),
+    'BODY(TABLE(TBODY(TR(TD,TD),TR(TD))))');
+});
+
+test('parseHTML closes list items up to the nearest list', function() {
+  assert.strictEqual(parseBody('<ul><li><div>One<li>Two</ul>'),
+    'BODY(UL(LI(DIV),LI))');
+  assert.strictEqual(parseBody('<ul><li>One<ul><li>Two</ul></ul>'),
+    'BODY(UL(LI(UL(LI))))');
+});
+
+test('parseHTML only honors a trailing slash on void elements', function() {
+  assert.strictEqual(parseBody('<div/><p>x</p>'), 'BODY(DIV(P))');
+  assert.strictEqual(parseBody('<p>One<br/>Two<img src="a.png"></p>'),
+    'BODY(P(BR,IMG))');
+});
+
+test('parseHTML ignores a form inside an open form', function() {
+  assert.strictEqual(parseBody('<form><form><input></form><p>x'),
+    'BODY(FORM(INPUT),P)');
+});
+
+test('parseHTML reads attributes, character references and text', function() {
+  var tree = domToCanvas.parseHTML(
+    '<a href=/home title="Tom &amp; Jerry" hidden>Go &lt;home&gt;</a>',
+    {textNodes: true});
+  var link = tree.querySelector('a');
+
+  assert.deepStrictEqual(link.attributes,
+    {href: '/home', title: 'Tom & Jerry', hidden: ''});
+  assert.strictEqual(link.firstChild.nodeValue, 'Go <home>');
+});
+
+test('parseHTML keeps the content of raw text elements as text', function() {
+  var tree = domToCanvas.parseHTML('<script>if (a < b) {}</script>',
+    {textNodes: true});
+
+  assert.strictEqual(describeTree(tree.head), 'HEAD(SCRIPT)');
+  assert.strictEqual(tree.scripts[0].firstChild.nodeValue, 'if (a < b) {}');
+});
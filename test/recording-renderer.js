@@ -0,0 +1,42 @@
+/**
+ * Draws a small parsed tree with the recording renderer, and compares what it was asked to draw against the
+ * snapshot in __snapshots__. Any change to a layout, a style rule or a renderer primitive shows up as a change to
+ * that snapshot.
+ *
+ * If the change is intended, run `UPDATE_SNAPSHOTS=1 npm test` to rewrite the snapshot, and commit it alongside
+ * the change.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+var snapshotPath = path.join(__dirname, '__snapshots__',
+  'recording-renderer.json');
+var snapshotName = path.relative(process.cwd(), snapshotPath);
+
+test('drawTree records the same operations as its snapshot', function() {
+  var renderer = domToCanvas.createRecordingRenderer();
+  var tree = domToCanvas.parseHTML('<ul><li>One<li>Two</ul>');
+
+  domToCanvas.drawTree(renderer, tree, {width: 400, height: 300});
+
+  /**
+   * Pretty printed, so that a failing snapshot (or an updated one) diffs line by line.
+   */
+  var operations = JSON.stringify(renderer.operations, null, 2) + '\n';
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(snapshotPath, operations);
+    return;
+  }
+
+  assert.ok(fs.existsSync(snapshotPath), snapshotName + ' is missing, ' +
+    'run UPDATE_SNAPSHOTS=1 npm test to write it');
+  assert.strictEqual(operations, fs.readFileSync(snapshotPath, 'utf8'),
+    'drawTree recorded different operations than ' + snapshotName +
+    ', run UPDATE_SNAPSHOTS=1 npm test if the change is intended');
+});
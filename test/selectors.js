@@ -0,0 +1,97 @@
+/**
+ * The selector engine, on a parsed tree.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+var tree = domToCanvas.parseHTML(
+  '<nav id="top"><ul class="nav main">' +
+  '<li class="item first" data-kind="home"><a href="/">Home</a></li>' +
+  '<li class="item"><a href="/docs/" lang="en-US">Docs</a></li>' +
+  '<li class="item"><a href="https://example.com/">Out</a></li>' +
+  '</ul></nav><p class="item">Text</p>');
+
+/**
+ * @param {String} selector - CSS selector
+ * @return {Array} the text of the href of every matching link, or the tag name of anything else
+ */
+function select(selector) {
+  return tree.querySelectorAll(selector).map(function(node) {
+    return node.attributes.href || node.tagName;
+  });
+}
+
+test('querySelectorAll matches tags, ids and classes', function() {
+  assert.deepStrictEqual(select('a'),
+    ['/', '/docs/', 'https://example.com/']);
+  assert.deepStrictEqual(select('#top'), ['NAV']);
+  assert.deepStrictEqual(select('.item'), ['LI', 'LI', 'LI', 'P']);
+  assert.deepStrictEqual(select('li.item.first'), ['LI']);
+  assert.deepStrictEqual(select('ul.nav.main'), ['UL']);
+  assert.strictEqual(select('*').length, 12);
+});
+
+test('querySelectorAll matches attribute selectors', function() {
+  assert.deepStrictEqual(select('[data-kind]'), ['LI']);
+  assert.deepStrictEqual(select('[href="/"]'), ['/']);
+  assert.deepStrictEqual(select('[class~=first]'), ['LI']);
+  assert.deepStrictEqual(select('[lang|=en]'), ['/docs/']);
+  assert.deepStrictEqual(select('[href^=https]'), ['https://example.com/']);
+  assert.deepStrictEqual(select('[href$="/"]'),
+    ['/', '/docs/', 'https://example.com/']);
+  assert.deepStrictEqual(select('[href*=docs]'), ['/docs/']);
+});
+
+test('querySelectorAll matches :nth-child()', function() {
+  assert.deepStrictEqual(select('li:nth-child(2) a'), ['/docs/']);
+  assert.deepStrictEqual(select('li:nth-child(odd) > a'),
+    ['/', 'https://example.com/']);
+  assert.deepStrictEqual(select('li:nth-child(2n+2) > a'), ['/docs/']);
+});
+
+test('querySelectorAll follows combinators and groups, in document order',
+  function() {
+    assert.deepStrictEqual(select('nav a'),
+      ['/', '/docs/', 'https://example.com/']);
+    assert.deepStrictEqual(select('nav > a'), []);
+    assert.deepStrictEqual(select('ul > li > a[href^="/"]'), ['/', '/docs/']);
+    assert.deepStrictEqual(select('p, nav'), ['NAV', 'P']);
+  });
+
+test('querySelector, getElementById and getElementsByTagName', function() {
+  assert.strictEqual(tree.querySelector('li a').attributes.href, '/');
+  assert.strictEqual(tree.querySelector('table'), null);
+  assert.strictEqual(tree.getElementById('top').tagName, 'NAV');
+  assert.strictEqual(tree.getElementsByTagName('li').length, 3);
+});
+
+test('querySelectorAll leaves out the node it starts from', function() {
+  var list = tree.querySelector('ul');
+
+  assert.deepStrictEqual(
+    domToCanvas.querySelectorAll(list, 'ul, li').map(function(node) {
+      return node.tagName;
+    }), ['LI', 'LI', 'LI']);
+});
+
+test('matchesSelector checks a single node', function() {
+  var link = tree.querySelector('[lang]');
+  var matches = function(selector) {
+    return domToCanvas.matchesSelector(link, selector);
+  };
+
+  assert.strictEqual(matches('li:nth-child(1) a'), false);
+  assert.strictEqual(matches('.nav a'), true);
+  assert.strictEqual(matches('#top > a'), false);
+});
+
+test('an invalid selector throws', function() {
+  ['', 'a[', 'li:hover', 'ul >', 'li + li'].forEach(function(selector) {
+    assert.throws(function() {
+      tree.querySelectorAll(selector);
+    }, Error, selector);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * serializeTree and deserializeTree, on parsed trees.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+/**
+ * @param {Array} actual - dom-like nodes
+ * @param {Array} expected - the very same nodes, not copies of them
+ */
+function assertSameNodes(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  actual.forEach(function(node, index) {
+    assert.strictEqual(node, expected[index]);
+  });
+}
+
+var markup = '<title>Page</title><script>go()</script>' +
+  '<div id="main" class="card wide"><p>One<!-- note --></p>' +
+  '<img src="a.png" alt="A"></div><a href="/">Home</a><form></form>';
+
+test('a snapshot survives a round trip unchanged', function() {
+  var tree = domToCanvas.parseHTML(markup,
+    {textNodes: true, commentNodes: true});
+  var json = domToCanvas.serializeTree(tree);
+  var snapshot = domToCanvas.deserializeTree(json);
+
+  assert.strictEqual(JSON.parse(json).version, 1);
+  assert.strictEqual(domToCanvas.serializeTree(snapshot), json);
+  assert.strictEqual(snapshot.largestDepth, tree.largestDepth);
+  assert.deepStrictEqual(snapshot.getElementById('main').attributes,
+    {id: 'main', class: 'card wide'});
+  assert.strictEqual(snapshot.querySelector('p').firstChild.nodeValue, 'One');
+  assert.strictEqual(snapshot.querySelector('p').lastChild.nodeName,
+    '#comment');
+});
+
+test('a snapshot keeps its layout and links its nodes together', function() {
+  var tree = domToCanvas.parseHTML(markup);
+  var snapshot = domToCanvas.deserializeTree(domToCanvas.serializeTree(tree));
+  var image = snapshot.querySelector('img');
+
+  assert.deepStrictEqual(
+    [image.depth, image.start, image.end, image.leafCount],
+    [tree.images[0].depth, tree.images[0].start, tree.images[0].end,
+      tree.images[0].leafCount]);
+  assert.strictEqual(image.parentNode, snapshot.getElementById('main'));
+  assert.strictEqual(image.previousElementSibling, snapshot.querySelector('p'));
+  assert.strictEqual(snapshot.body.parentNode, snapshot.documentElement);
+});
+
+test('a snapshot points its document references at its own nodes',
+  function() {
+    var snapshot = domToCanvas.deserializeTree(
+      domToCanvas.serializeTree(domToCanvas.parseHTML(markup)));
+
+    assert.strictEqual(snapshot.ids.main, snapshot.querySelector('div'));
+    assert.strictEqual(snapshot.head, snapshot.querySelector('head'));
+    assertSameNodes(snapshot.links, snapshot.querySelectorAll('a'));
+    assertSameNodes(snapshot.images, snapshot.querySelectorAll('img'));
+    assertSameNodes(snapshot.scripts, snapshot.querySelectorAll('script'));
+    assertSameNodes(snapshot.forms, snapshot.querySelectorAll('form'));
+  });
+
+test('deserializeTree takes a parsed snapshot, and rejects other versions',
+  function() {
+    var snapshot = JSON.parse(
+      domToCanvas.serializeTree(domToCanvas.parseHTML('<p>One</p>')));
+
+    assert.strictEqual(
+      domToCanvas.deserializeTree(snapshot).querySelectorAll('p').length, 1);
+
+    snapshot.version = 2;
+    assert.throws(function() {
+      domToCanvas.deserializeTree(snapshot);
+    }, /Unsupported dom-to-canvas snapshot version: 2/);
+  });
@@ -0,0 +1,59 @@
+/**
+ * getTreeStats on parsed markup.
+ */
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var domToCanvas = require('../dom-to-canvas');
+
+test('getTreeStats counts the elements of a page, not its document',
+  function() {
+    var stats = domToCanvas.getTreeStats(domToCanvas.parseHTML(
+      '<ul id="list"><li>One<li><a href="/">Two</a></ul><img src="a.png">'));
+
+    assert.strictEqual(stats.totalNodes, 8);
+    assert.deepStrictEqual(stats.tagCounts,
+      {HTML: 1, HEAD: 1, BODY: 1, UL: 1, LI: 2, A: 1, IMG: 1});
+    assert.deepStrictEqual(stats.depthHistogram, [0, 1, 2, 2, 2, 1]);
+    assert.strictEqual(stats.largestDepth, 5);
+    assert.strictEqual(stats.maxFanOut, 2);
+    assert.strictEqual(stats.averageFanOut, 7 / 4);
+    assert.deepStrictEqual(
+      [stats.ids, stats.links, stats.images, stats.scripts, stats.forms],
+      [1, 1, 1, 0, 0]);
+  });
+
+test('getTreeStats counts the text and comments that were walked',
+  function() {
+    var tree = domToCanvas.parseHTML('<p>One<!-- two --></p>',
+      {textNodes: true, commentNodes: true});
+    var stats = domToCanvas.getTreeStats(tree);
+
+    assert.strictEqual(stats.totalNodes, 6);
+    assert.strictEqual(stats.tagCounts['#text'], 1);
+    assert.strictEqual(stats.tagCounts['#comment'], 1);
+  });
+
+test('getTreeStats lists the largest subtrees first', function() {
+  var stats = domToCanvas.getTreeStats(domToCanvas.parseHTML(
+    '<ul><li>One<li>Two<li>Three</ul><p>Four</p>'));
+
+  assert.deepStrictEqual(stats.largestSubtrees.slice(0, 3).map(
+    function(subtree) {
+      return [subtree.path, subtree.size];
+    }), [
+      ['html', 8],
+      ['html > body:nth-child(2)', 6],
+      ['html > body:nth-child(2) > ul:nth-child(1)', 4]
+    ]);
+});
+
+test('getTreeStats counts the nodes hidden in collapsed nodes', function() {
+  var tree = domToCanvas.parseHTML('<ul><li>One<li>Two<li>Three</ul>',
+    {collapseDepth: 3});
+  var snapshot = domToCanvas.deserializeTree(domToCanvas.serializeTree(tree));
+
+  assert.strictEqual(domToCanvas.getTreeStats(tree).totalNodes, 7);
+  assert.strictEqual(domToCanvas.getTreeStats(snapshot).totalNodes, 7);
+});